@@ -0,0 +1,817 @@
+const plantuml = require('node-plantuml');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const os = require('os');
+const rimraf = require('rimraf');
+const fsextra = require('fs-extra');
+const chokidar = require('chokidar');
+const createContext = require('./context');
+const {
+    parseFrontMatter,
+    sortByOrder
+} = require('./frontmatter');
+const { readFolderMetadata } = require('./folder');
+const { buildModel } = require('./model');
+const { lint } = require('./lint');
+const { linkDiagrams } = require('./drilldown');
+const {
+    MODEL_FILES,
+    generateViews
+} = require('./views');
+const {
+    resolveIncludes,
+    getDependents
+} = require('./includes');
+const {
+    checkLinks,
+    checkReferences
+} = require('./links');
+const {
+    hasImageFiles,
+    diagramPlaceholder
+} = createContext;
+
+const {
+    makeDirectory,
+    readFile,
+    writeFile,
+    runInPool,
+    plantUmlServerUrl,
+    download
+} = require('./utils.js');
+const {
+    builtinPlugins,
+    getPlugins,
+    getDiagramFormat
+} = require('./plugins');
+
+const silentLogger = {
+    step: () => { },
+    done: () => { },
+    note: () => { },
+    warn: () => { },
+    error: () => { },
+    progress: () => { }
+};
+
+const defaultOptions = {
+    generateMD: false,
+    generatePDF: false,
+    generateWEB: true,
+    generateHTML: false,
+    generateModel: true, //writes the C4 elements and relationships of the diagrams to model.json
+    generateCompleteMD: true,
+    generateCompletePDF: false,
+    generateLocalImages: false,
+    fetchServerImages: false, //downloads the images from the plantuml server at build time
+    offline: false, //bundles docsify, its theme and C4-PlantUML instead of loading them from the internet
+
+    rootFolder: 'src',
+    distFolder: 'docs',
+    cacheFolder: '.c4builder-cache',
+
+    projectName: 'My Project',
+    repoUrl: '',
+    homepageName: 'Overview',
+    mdFileName: 'README',
+    webFileName: 'HOME',
+    catalogFileName: 'CATALOG',
+    lintRules: {}, //severity by lint rule: error, warning or off
+    webTheme: '//unpkg.com/docsify/lib/themes/vue.css',
+    webPlugins: [], //docsify plugins by name (search, zoom-image, copy-code, pagination) or script url
+    webCoverpage: false, //generates _coverpage.md from the project name, repository and root folder description
+    docsifyOptions: {}, //merged into window.$docsify
+    includeNavigation: false, //applies to generateMD
+    includeBreadcrumbs: true, //applies to generateMD, generateCompleteMD, generatePDF, generateCompletePDF
+    includeTableOfContents: true, //applies to generateMD
+    includeLinkToDiagram: false, //applies to all
+    includeCatalog: false, //applies to all, the web and html sites and the complete files get a project catalog as well
+    pdfCss: path.join(__dirname, 'pdf.css'),
+    htmlCss: path.join(__dirname, 'html.css'), //applies to generateHTML
+    diagramsOnTop: true,
+
+    diagramFormat: undefined, //applies to all targets without a format of their own, unset they use the format preferred by the plugin or svg
+    diagramFormats: {}, //image format by output plugin name, for example { web: 'svg', pdf: 'png' }
+    plantumlServerUrl: 'https://www.plantuml.com/plantuml', //applies to all when the images are not generated locally
+    diagramLinks: true, //applies to generateWEB, generateHTML with local svg images
+    diagramLinkSyntax: 'url', //[[url]] after the element or $link="url" for the C4-PlantUML macros
+    diagramConcurrency: os.cpus().length, //applies to generateLocalImages, fetchServerImages
+    keepGoing: false, //applies to generateLocalImages, fetchServerImages
+
+    plugins: [], //output plugins loaded by package name or path, in addition to the built-in ones
+    logger: silentLogger
+};
+
+/**
+ * fills the options that were not set with the defaults
+ */
+const getOptions = options => {
+    let result = Object.assign({}, defaultOptions);
+    for (const key of Object.keys(options || {})) {
+        if (options[key] !== undefined)
+            result[key] = options[key];
+    }
+    //loggers written before a message type existed keep working
+    result.logger = Object.assign({}, silentLogger, result.logger);
+    return result;
+};
+
+//![[file.puml]] places a diagram of the folder
+const PLACE = /!\[\[([^\]\n]+\.puml)\]\]/gi;
+
+/**
+ * replaces a ![[file.puml]] directive with the placeholder of the diagram of the folder
+ * unknown diagrams are left as they are
+ */
+const placeDiagram = (item, directive, name) => {
+    let pumlFile = item.pumlFiles.find(x => !x.inline && x.dir === name.trim());
+    if (!pumlFile)
+        return directive;
+    pumlFile.placed = true;
+    return diagramPlaceholder(pumlFile.dir);
+};
+
+/**
+ * builds the directory structure of the root folder
+ * files and folders are sorted by the order in their front matter, drafts are left out
+ * the title, order, tags and owner of a folder come from the front matter of its markdown files
+ * the folder metadata file (_folder.yaml or .c4folder.json) takes precedence and can hide the folder
+ */
+const generateTree = async (options) => {
+    let tree = [];
+
+    //returns false for hidden folders
+    const build = async (dir, parent) => {
+        let metadata = readFolderMetadata(dir);
+        if (metadata.hidden && dir !== options.rootFolder)
+            return false;
+
+        let name = dir === options.rootFolder ? options.homepageName : path.parse(dir).name;
+        let item = tree.find(x => x.dir === dir);
+        if (!item) {
+            item = {
+                dir: dir,
+                name: name,
+                level: dir.split(path.sep).length,
+                parent: parent,
+                order: undefined,
+                icon: metadata.icon,
+                description: metadata.description,
+                children: metadata.children,
+                tags: [],
+                owner: undefined,
+                markdownFiles: [],
+                mdFiles: [],
+                pumlFiles: [],
+                assets: [],
+                descendants: []
+            };
+            tree.push(item);
+        }
+
+        let files = fs.readdirSync(dir).filter(x => x.charAt(0) !== '_');
+        for (const file of files) {
+            //if folder
+            if (fs.statSync(path.join(dir, file)).isDirectory()) {
+                if (await build(path.join(dir, file), dir))
+                    item.descendants.push(file);
+            }
+        }
+
+        //images and attachments are copied to the destination folder, hidden files and model files are not
+        item.assets = files.filter(x => x.charAt(0) !== '.' && !MODEL_FILES.includes(x) &&
+            !['.md', '.puml'].includes(path.extname(x).toLowerCase()) &&
+            !fs.statSync(path.join(dir, x)).isDirectory());
+
+        const readFiles = async (extension) => {
+            let result = [];
+            for (const file of files.filter(x => path.extname(x).toLowerCase() === extension)) {
+                let frontMatter = parseFrontMatter(await readFile(path.join(dir, file), 'utf8'), path.join(dir, file));
+                if (!frontMatter.data.draft)
+                    result.push(Object.assign({}, frontMatter.data, { dir: file, content: frontMatter.content, line: frontMatter.line }));
+            }
+            return sortByOrder(result, x => x.order);
+        };
+
+        //the content of a diagram has its local includes inlined, the included files are its dependencies
+        //origins holds the file and line every line of the content comes from
+        const readDiagram = (file, content, line) => {
+            let resolved = resolveIncludes(path.join(dir, file), content, line, options.offline);
+            return {
+                dir: file,
+                content: resolved.content,
+                line: line,
+                dependencies: resolved.dependencies,
+                origins: resolved.origins
+            };
+        };
+
+        const mdFiles = await readFiles('.md');
+        item.pumlFiles = (await readFiles('.puml')).map(x => Object.assign(readDiagram(x.dir, x.content, x.line), {
+            title: x.title,
+            order: x.order,
+            tags: x.tags,
+            owner: x.owner,
+            links: x.links
+        }));
+
+        //```plantuml blocks become diagrams of the folder and ![[file.puml]] places a diagram of the folder
+        //both are replaced by a placeholder rendered in place, placed diagrams are not added at the top or bottom
+        const placeDiagrams = mdFile => {
+            let count = 0;
+            return mdFile.content
+                .replace(/^```(?:plantuml|puml)[^\n]*\n([\s\S]*?)^```[ \t]*$/gm, (block, source, offset) => {
+                    let wrap = !/^\s*@start/.test(source);
+                    let pumlFile = Object.assign(readDiagram(
+                        mdFile.dir,
+                        wrap ? `@startuml\n${source}@enduml\n` : source,
+                        mdFile.line + mdFile.content.slice(0, offset).split('\n').length - (wrap ? 1 : 0)
+                    ), {
+                        dir: `${path.parse(mdFile.dir).name}-${++count}.puml`,
+                        source: mdFile.dir,
+                        inline: true,
+                        tags: [],
+                        links: mdFile.links
+                    });
+                    item.pumlFiles.push(pumlFile);
+                    return diagramPlaceholder(pumlFile.dir);
+                })
+                .replace(PLACE, (directive, name) => placeDiagram(item, directive, name));
+        };
+
+        //markdownFiles keeps the file names, front matter and the content as written, mdFiles the content to render
+        item.markdownFiles = mdFiles;
+        item.mdFiles = mdFiles.map(placeDiagrams);
+
+        //the first markdown file with a value wins, tags are combined
+        const first = key => (mdFiles.find(x => x[key] !== undefined) || {})[key];
+        item.name = metadata.name || first('title') || name;
+        item.order = metadata.order !== undefined ? metadata.order : first('order');
+        item.owner = first('owner');
+        item.tags = mdFiles.reduce((tags, x) => tags.concat(x.tags.filter(y => !tags.includes(y))), []);
+        return true;
+    };
+
+    await build(options.rootFolder);
+
+    //the views of the model files are generated once every folder is known, they can go to the drill-down folders
+    //a diagram file with the same name replaces the view
+    for (const view of generateViews(tree)) {
+        let item = tree.find(x => x.dir === view.dir);
+        if (item.pumlFiles.find(x => !x.inline && x.dir === view.name))
+            continue;
+        let resolved = resolveIncludes(path.join(item.dir, view.name), view.content, 1, options.offline);
+        item.pumlFiles.push({
+            dir: view.name,
+            content: resolved.content,
+            line: 1,
+            dependencies: [path.resolve(view.file)].concat(resolved.dependencies),
+            //the errors of a view are reported on its model file
+            origins: resolved.origins.map(x => path.resolve(x.file) === path.resolve(item.dir, view.name) ? { file: view.file, line: 1 } : x),
+            title: view.title,
+            tags: [],
+            source: path.relative(item.dir, view.file),
+            generated: true
+        });
+        item.mdFiles = item.mdFiles.map(x => x.replace(PLACE, (directive, name) => placeDiagram(item, directive, name)));
+    }
+
+    //the children listed in the folder metadata come first, the other siblings follow their order
+    //the tree stays depth first
+    const sort = dir => {
+        let item = tree.find(x => x.dir === dir);
+        let children = sortByOrder(item.descendants.map(x => tree.find(y => y.dir === path.join(dir, x))), x => x.order);
+        let listed = item.children
+            .map(x => children.find(y => path.basename(y.dir) === x))
+            .filter(x => x);
+        children = listed.concat(children.filter(x => !listed.includes(x)));
+        item.descendants = children.map(x => path.basename(x.dir));
+        return [item].concat(...children.map(x => sort(x.dir)));
+    };
+
+    return sort(options.rootFolder);
+};
+
+/**
+ * hashes the diagram source, its local includes are already inlined
+ * remote and standard library includes are hashed by their reference only
+ */
+const getDiagramHash = (content, format, options) => {
+    let hash = crypto.createHash('sha1');
+    hash.update(format);
+    //the local plantuml and the server can be different versions
+    hash.update(options.generateLocalImages ? 'local' : options.plantumlServerUrl);
+    hash.update(content);
+
+    return hash.digest('hex');
+};
+
+/**
+ * plantuml renders syntax errors as an image instead of failing
+ * returns the error text found in the rendered image or null
+ */
+const getDiagramError = (image, format) => {
+    if (!image.length)
+        return 'plantuml did not produce any output';
+    if (format !== 'svg')
+        return null;
+
+    let svg = image.toString();
+    if (!/Syntax Error\?|An error has occured|Cannot include/.test(svg))
+        return null;
+
+    return (svg.match(/<text[^>]*>[^<]*<\/text>/g) || [])
+        .map(x => x.replace(/<[^>]+>/g, '')
+            .replace(/&#160;|&nbsp;/g, ' ')
+            .replace(/&lt;/g, '<')
+            .replace(/&gt;/g, '>')
+            .replace(/&quot;/g, '"')
+            .replace(/&amp;/g, '&')
+            .trim())
+        .filter(x => x)
+        .join('\n');
+};
+
+/**
+ * downloads a single diagram from the plantuml server into a buffer
+ * the server reports syntax errors with a 400 status and the X-PlantUML-Diagram-Error header
+ */
+const fetchDiagram = async (content, format, options) => {
+    let response = await download(plantUmlServerUrl(options.plantumlServerUrl, format, content));
+    if (response.statusCode !== 200) {
+        let error = response.headers['x-plantuml-diagram-error'];
+        let line = response.headers['x-plantuml-diagram-error-line'];
+        throw new Error(error ? `${error}${line ? ` at line ${line}` : ''}` : `the plantuml server responded with ${response.statusCode}`);
+    }
+    return response.body;
+};
+
+/**
+ * renders the source of a single diagram, without its front matter, into a buffer
+ */
+const renderDiagram = (content, format, options) => !options.generateLocalImages ? fetchDiagram(content, format, options) : new Promise((resolve, reject) => {
+    let chunks = [];
+    let out = plantuml.generate(content, { format: format }).out;
+    out.on('data', chunk => chunks.push(chunk));
+    out.on('error', reject);
+    out.on('end', () => resolve(Buffer.concat(chunks)));
+});
+
+/**
+ * the distinct image formats needed by the enabled output plugins
+ */
+const getDiagramFormats = (options, plugins) => plugins
+    .filter(x => x.images !== false)
+    .map(x => getDiagramFormat(x, options))
+    .filter((x, i, formats) => formats.indexOf(x) === i);
+
+/**
+ * transforms the puml files into images on disk, once for every format
+ * the diagrams with drill-down links get linked images in the linkedFormats as well
+ * unchanged diagrams are copied from the cache instead of being rendered again
+ * at most options.diagramConcurrency diagrams are rendered at the same time
+ */
+const generateImages = async (tree, options, onImageGenerated, formats = getDiagramFormats(options, getPlugins(options)), linkedFormats = []) => {
+    let processedImages = 0;
+    let cachedImages = 0;
+    let renderedImages = 0;
+    let failedImages = [];
+
+    let diagrams = [];
+    for (const item of tree) {
+        for (const pumlFile of item.pumlFiles) {
+            const add = (format, linked) => diagrams.push({
+                //diagrams written inside a markdown file are reported with that file
+                file: path.join(item.dir, pumlFile.source || pumlFile.dir),
+                content: linked ? pumlFile.linkedContent : pumlFile.content,
+                format: format,
+                imagePath: path.join(
+                    options.distFolder,
+                    item.dir.replace(options.rootFolder, ''),
+                    `${path.parse(pumlFile.dir).name}${linked ? '.linked' : ''}.${format}`
+                )
+            });
+
+            for (const format of formats)
+                add(format);
+            //the diagrams without links share the images of the other plugins
+            for (const format of linkedFormats) {
+                if (pumlFile.linkedContent)
+                    add(format, true);
+                else if (!formats.includes(format))
+                    add(format);
+            }
+        }
+    }
+    let totalImages = diagrams.length;
+    //only the svg images can be read, they are rendered first and the other formats of a diagram report their errors
+    diagrams.sort((a, b) => (b.format === 'svg') - (a.format === 'svg'));
+    let svgErrors = {};
+
+    await makeDirectory(options.cacheFolder);
+
+    await runInPool(diagrams.map(diagram => async () => {
+        let cachePath = path.join(
+            options.cacheFolder,
+            `${getDiagramHash(diagram.content, diagram.format, options)}.${diagram.format}`
+        );
+
+        if (fs.existsSync(cachePath)) {
+            cachedImages++;
+            await fsextra.copy(cachePath, diagram.imagePath);
+        } else {
+            renderedImages++;
+            try {
+                //write diagram as image
+                let rendering = renderDiagram(diagram.content, diagram.format, options);
+                if (diagram.format === 'svg')
+                    svgErrors[diagram.content] = rendering.then(image => getDiagramError(image, 'svg'), () => null);
+                let image = await rendering;
+                await writeFile(diagram.imagePath, image);
+
+                //failed diagrams are not cached so they get rendered again on the next build
+                let error = getDiagramError(image, diagram.format) ||
+                    (diagram.format !== 'svg' ? await svgErrors[diagram.content] : null);
+                if (error)
+                    failedImages.push({ file: diagram.file, error: error });
+                else
+                    await writeFile(cachePath, image);
+            } catch (err) {
+                failedImages.push({ file: diagram.file, error: err.message || err });
+            }
+        }
+
+        processedImages++;
+        if (onImageGenerated)
+            onImageGenerated(processedImages, totalImages);
+    }), options.diagramConcurrency);
+
+    return {
+        files: diagrams.map(x => x.imagePath),
+        cached: cachedImages,
+        rendered: renderedImages,
+        failed: failedImages
+    };
+};
+
+/**
+ * creates the destination folder of every folder in the tree
+ */
+const makeDistFolders = async (tree, options, plugins) => {
+    //plugins writing complete files only need the root folder
+    if (!hasImageFiles(options) && plugins.every(x => x.complete))
+        return;
+
+    for (const item of tree)
+        await makeDirectory(path.join(options.distFolder, item.dir.replace(options.rootFolder, '')));
+};
+
+/**
+ * copies the assets of every folder to the matching destination folder
+ */
+const copyAssets = async (tree, options) => {
+    let files = [];
+    for (const item of tree) {
+        for (const asset of item.assets) {
+            let file = path.join(options.distFolder, item.dir.replace(options.rootFolder, ''), asset);
+            await fsextra.copy(path.join(item.dir, asset), file);
+            files.push(file);
+        }
+    }
+    return files;
+};
+
+/**
+ * each plugin gets the shared context together with its own options from the config
+ * the plugin linking the diagrams gets the linked images in its own format
+ */
+const getPluginContext = (context, plugin, linked) => {
+    let pluginContext = Object.assign({}, context, {
+        pluginOptions: plugin.pluginOptions || {},
+        diagramFormat: getDiagramFormat(plugin, context.options)
+    });
+    //the image helpers default to the format of the plugin
+    pluginContext.getImageName = (pumlFile, format) => context.getImageName(pumlFile, format || pluginContext.diagramFormat,
+        linked && !!pumlFile.linkedContent && (format || pluginContext.diagramFormat) === pluginContext.diagramFormat);
+    pluginContext.getServerUrl = (pumlFile, format) => context.getServerUrl(pumlFile, format || pluginContext.diagramFormat);
+    return pluginContext;
+};
+
+/**
+ * the first plugin that can link the diagram elements to their folders
+ * only local images keep the links, the ones of the plantuml server are not rewritten
+ */
+const getLinkPlugin = (options, plugins) => options.diagramLinks && hasImageFiles(options) ?
+    plugins.find(x => x.diagramLink) :
+    undefined;
+
+/**
+ * adds the linked source of the diagrams for the plugin linking them
+ * returns the broken links of the front matter
+ */
+const addDiagramLinks = (tree, context, linkPlugin) => {
+    if (!linkPlugin)
+        return [];
+    let pluginContext = getPluginContext(context, linkPlugin, true);
+    return linkDiagrams(tree, context.options, (item, target) => linkPlugin.diagramLink(pluginContext, item, target));
+};
+
+/**
+ * the image formats of the plugins, the linked images are only rendered in the format of the plugin linking the diagrams
+ */
+const renderImages = (tree, options, plugins, linkPlugin, onImageGenerated) => generateImages(tree, options, onImageGenerated,
+    getDiagramFormats(options, plugins.filter(x => x !== linkPlugin)),
+    linkPlugin ? [getDiagramFormat(linkPlugin, options)] : []);
+
+/**
+ * prints the failed diagrams with the error reported by plantuml
+ */
+const reportFailedImages = (failed, logger) => {
+    for (const image of failed) {
+        logger.error(`failed to render ${image.file}`);
+        logger.note(image.error.split('\n').map(x => `    ${x}`).join('\n'));
+    }
+};
+
+/**
+ * builds the documentation from scratch
+ * returns the parsed tree, the generated files, the warnings, the errors and the duration of each step in ms
+ */
+const build = async (options) => {
+    options = getOptions(options);
+    const logger = options.logger;
+
+    let start_date = new Date();
+    let result = {
+        tree: [],
+        files: [],
+        warnings: [],
+        errors: [],
+        timings: {}
+    };
+    const step = async (name, fn) => {
+        let step_date = new Date();
+        let files = await fn();
+        result.timings[name] = new Date() - step_date;
+        return files;
+    };
+
+    const plugins = getPlugins(options);
+    const linkPlugin = getLinkPlugin(options, plugins);
+    const context = createContext(options);
+    if (options.generateWEB && options.generateHTML)
+        logger.warn('the static html site replaces the docsify site, both write index.html, set generateWEB to false to hide this warning');
+
+    //clear dist directory
+    rimraf.sync(options.distFolder);
+    await makeDirectory(path.join(options.distFolder));
+
+    //actual build
+    logger.done(`\nbuilding documentation in ./${options.distFolder}`);
+    let tree = result.tree = await step('tree', () => generateTree(options));
+    logger.step(`parsed ${tree.length} folders`);
+    result.warnings.push(...checkLinks(tree, options));
+    result.warnings.push(...addDiagramLinks(tree, context, linkPlugin));
+    result.warnings.push(...lint(tree, context.getModel(tree), options.lintRules).map(x => Object.assign({}, x, { message: `${x.message} (${x.rule})` })));
+    for (const warning of result.warnings)
+        logger.warn(`${warning.file}:${warning.line} ${warning.message}`);
+    await makeDistFolders(tree, options, plugins);
+    result.files.push(...await step('assets', () => copyAssets(tree, options)));
+
+    if (hasImageFiles(options)) {
+        logger.step('generating images');
+        let images = await step('images', () => renderImages(tree, options, plugins, linkPlugin, (count, total) => {
+            logger.progress(`processed ${count}/${total} images`);
+        }));
+        logger.note(`${images.cached} images from cache, ${images.rendered} rendered`);
+        result.files.push(...images.files);
+        result.errors.push(...images.failed.map(x => ({ file: x.file, message: x.error })));
+        reportFailedImages(images.failed, logger);
+        if (images.failed.length && !options.keepGoing)
+            throw new Error(`${images.failed.length} diagrams failed to render`);
+    }
+    for (const plugin of plugins) {
+        logger.step(`generating ${plugin.description}`);
+        result.files.push(...await step(plugin.name, () => plugin.generate(tree, getPluginContext(context, plugin, plugin === linkPlugin))));
+    }
+
+    result.timings.total = new Date() - start_date;
+    logger.done(`built in ${result.timings.total / 1000} seconds`);
+
+    return result;
+};
+
+/**
+ * validates the documentation without writing any output
+ * reports broken cross references, links and images in the markdown files and the diagrams that fail to render
+ * returns the parsed tree and the errors with their file and line
+ */
+const check = async (options) => {
+    options = getOptions(options);
+    const logger = options.logger;
+
+    let tree = await generateTree(options);
+    logger.step(`parsed ${tree.length} folders`);
+    let errors = checkLinks(tree, options).concat(checkReferences(tree));
+    //the consistency of the levels is only an error for the rules set to error
+    let problems = lint(tree, buildModel(tree), options.lintRules).map(x => Object.assign({}, x, { message: `${x.message} (${x.rule})` }));
+    errors.push(...problems.filter(x => x.severity === 'error'));
+    let warnings = problems.filter(x => x.severity === 'warning');
+
+    let diagrams = [];
+    for (const item of tree) {
+        for (const pumlFile of item.pumlFiles)
+            diagrams.push(Object.assign({ file: path.join(item.dir, pumlFile.source || pumlFile.dir) }, pumlFile));
+    }
+
+    logger.step('checking diagrams');
+    let processed = 0;
+    await runInPool(diagrams.map(diagram => async () => {
+        //only the diagrams rendered without errors are cached
+        let cachePath = path.join(options.cacheFolder, `${getDiagramHash(diagram.content, 'svg', options)}.svg`);
+        if (!fs.existsSync(cachePath)) {
+            let error;
+            try {
+                error = getDiagramError(await renderDiagram(diagram.content, 'svg', options), 'svg');
+            } catch (err) {
+                error = err.message || err;
+            }
+            if (error) {
+                //plantuml counts the lines of the content with the includes inlined
+                let line = error.match(/line (\d+)/);
+                let origin = (line && diagram.origins[parseInt(line[1]) - 1]) || { file: diagram.file, line: diagram.line };
+                errors.push({
+                    file: origin.file,
+                    line: origin.line,
+                    message: `diagram failed to render\n${error}`
+                });
+            }
+        }
+
+        processed++;
+        logger.progress(`checked ${processed}/${diagrams.length} diagrams`);
+    }), options.diagramConcurrency);
+
+    const byLine = (a, b) => a.file === b.file ? a.line - b.line : a.file < b.file ? -1 : 1;
+    errors.sort(byLine);
+    warnings.sort(byLine);
+    return {
+        tree: tree,
+        errors: errors,
+        warnings: warnings
+    };
+};
+
+/**
+ * regenerates the outputs of the changed folders
+ * the sidebar, navigation and complete files are refreshed only when the tree shape changes
+ */
+const rebuild = async (previousTree, changedDirs, options) => {
+    const logger = options.logger;
+    const plugins = getPlugins(options);
+    const linkPlugin = getLinkPlugin(options, plugins);
+    const context = createContext(options);
+    let start_date = new Date();
+
+    let tree = await generateTree(options);
+    //renamed titles and icons change the navigation as well
+    const shape = tree => tree.map(x => `${x.dir}|${x.name}|${x.icon}`).join('\n');
+    let shapeChanged = shape(tree) !== shape(previousTree);
+
+    //remove the outputs of deleted folders
+    for (const item of previousTree) {
+        if (!tree.find(x => x.dir === item.dir))
+            rimraf.sync(path.join(options.distFolder, item.dir.replace(options.rootFolder, '')));
+    }
+    await makeDistFolders(tree, options, plugins);
+
+    let items = tree.filter(x => changedDirs.includes(x.dir) || !previousTree.find(y => y.dir === x.dir));
+    let dirs = items.map(x => x.dir);
+    logger.done(`\nrebuilding ${dirs.length} folders${shapeChanged ? ' and navigation' : ''}`);
+    await copyAssets(items, options);
+    let warnings = checkLinks(tree, options).concat(addDiagramLinks(tree, context, linkPlugin));
+    for (const warning of warnings.filter(x => dirs.includes(path.dirname(x.file))))
+        logger.warn(`${warning.file}:${warning.line} ${warning.message}`);
+    for (const problem of lint(tree, buildModel(tree), options.lintRules).filter(x => dirs.includes(path.dirname(x.file))))
+        logger.warn(`${problem.file}:${problem.line} ${problem.message} (${problem.rule})`);
+
+    //added, removed and renamed folders change the drill-down links of the diagrams of other folders
+    const relinked = item => {
+        let previous = previousTree.find(x => x.dir === item.dir);
+        return item.pumlFiles.some(pumlFile => {
+            let previousFile = previous.pumlFiles.find(x => x.dir === pumlFile.dir);
+            return !previousFile || previousFile.linkedContent !== pumlFile.linkedContent;
+        });
+    };
+    items.push(...tree.filter(x => !dirs.includes(x.dir) && relinked(x)));
+    dirs = items.map(x => x.dir);
+
+    if (hasImageFiles(options)) {
+        logger.step('generating images');
+        let images = await renderImages(items, options, plugins, linkPlugin, (count, total) => {
+            logger.progress(`processed ${count}/${total} images`);
+        });
+        logger.note(`${images.cached} images from cache, ${images.rendered} rendered`);
+        reportFailedImages(images.failed, logger);
+    }
+    for (const plugin of plugins) {
+        if (plugin.complete && !shapeChanged)
+            continue;
+
+        //complete files and navigation cover the whole tree
+        let pluginDirs = plugin.complete || (plugin.navigation && shapeChanged) ? undefined : dirs;
+        logger.step(`generating ${plugin.description}`);
+        await plugin.generate(tree, getPluginContext(context, plugin, plugin === linkPlugin), pluginDirs);
+    }
+
+    logger.done(`rebuilt in ${(new Date() - start_date) / 1000} seconds`);
+
+    return tree;
+};
+
+/**
+ * builds once and then rebuilds the affected folders on every file change
+ * options.onRebuild is called after each rebuild
+ * returns the file watcher, close it to stop watching
+ */
+const watch = async (options) => {
+    //a diagram with errors should not stop the watcher
+    options = getOptions(Object.assign({}, options, { keepGoing: true }));
+    const logger = options.logger;
+
+    let tree = (await build(options)).tree;
+    let changedDirs = [];
+    let timer;
+    let building = Promise.resolve();
+
+    const onChange = (file, isFolder) => {
+        //changes are debounced so that a save touching multiple files triggers a single rebuild
+        //every file change rebuilds its folder, assets are copied again and the pages can reference them
+        //diagrams of other folders including the file are rendered again as well
+        if (!isFolder) {
+            for (const dir of [path.dirname(file)].concat(getDependents(tree, file))) {
+                if (!changedDirs.includes(dir))
+                    changedDirs.push(dir);
+            }
+        }
+
+        clearTimeout(timer);
+        timer = setTimeout(() => {
+            let dirs = changedDirs;
+            changedDirs = [];
+            building = building.then(async () => {
+                tree = await rebuild(tree, dirs, options);
+                watchIncludes();
+                if (options.onRebuild)
+                    options.onRebuild();
+            }).catch(err => logger.error(err.message || err));
+        }, 300);
+    };
+
+    let watcher = chokidar.watch(options.rootFolder, { ignoreInitial: true })
+        //chokidar passes the stats of the file as the second argument
+        .on('add', file => onChange(file))
+        .on('change', file => onChange(file))
+        .on('unlink', file => onChange(file))
+        .on('addDir', file => onChange(file, true))
+        .on('unlinkDir', file => onChange(file, true));
+
+    //the files included from outside of the root folder are watched as well, their dependents are rebuilt on change
+    const watchIncludes = () => {
+        let root = path.resolve(options.rootFolder);
+        let files = [].concat(...tree.map(item => [].concat(...item.pumlFiles.map(x => x.dependencies || []))))
+            .filter((x, i, all) => all.indexOf(x) === i && path.relative(root, x).startsWith('..'));
+        if (files.length)
+            watcher.add(files);
+    };
+    watchIncludes();
+
+    logger.note(`\nwatching ./${options.rootFolder} for changes`);
+
+    return watcher;
+};
+
+/**
+ * runs a single output plugin over the tree
+ */
+const generateOutput = (plugin) => async (tree, options) => {
+    options = getOptions(options);
+    return plugin.generate(tree, getPluginContext(createContext(options), plugin));
+};
+
+module.exports = {
+    defaultOptions,
+    builtinPlugins,
+    build,
+    watch,
+    check,
+    generateTree: (options) => generateTree(getOptions(options)),
+    generateImages: (tree, options, onImageGenerated) => generateImages(tree, getOptions(options), onImageGenerated),
+    generateMD: generateOutput(builtinPlugins.find(x => x.name === 'markdown')),
+    generatePDF: generateOutput(builtinPlugins.find(x => x.name === 'pdf')),
+    generateCompleteMD: generateOutput(builtinPlugins.find(x => x.name === 'complete-markdown')),
+    generateCompletePDF: generateOutput(builtinPlugins.find(x => x.name === 'complete-pdf')),
+    generateWebMD: generateOutput(builtinPlugins.find(x => x.name === 'web')),
+    buildModel
+};
@@ -0,0 +1,32 @@
+const chalk = require('chalk');
+const { check } = require('./c4builder');
+
+/**
+ * prints every broken link, missing image, failing diagram and inconsistency between levels with its file and line
+ * returns the check result, the check failed when it has errors
+ */
+module.exports = async (options) => {
+    let result = await check(options);
+
+    const print = (problem, color) => {
+        let lines = problem.message.split('\n');
+        console.log(`${color(`${problem.file}:${problem.line}`)} ${lines[0]}`);
+        if (lines.length > 1)
+            console.log(chalk.gray(lines.slice(1).map(x => `    ${x}`).join('\n')));
+    };
+
+    console.log('');
+    for (const error of result.errors)
+        print(error, chalk.red);
+    for (const warning of result.warnings)
+        print(warning, chalk.yellow);
+
+    if (result.warnings.length)
+        console.log(chalk.yellow(`\n${result.warnings.length} warnings`));
+    if (result.errors.length)
+        console.log(chalk.red(`\n${result.errors.length} problems found`));
+    else
+        console.log(chalk.green(`no problems found in ${result.tree.length} folders`));
+
+    return result;
+};
@@ -2,6 +2,8 @@ const inquirer = require('inquirer');
 const joi = require('joi');
 const fs = require('fs');
 const path = require('path');
+const os = require('os');
+const { DOCSIFY_PLUGINS } = require('./vendor');
 
 const validate = (schema) => answers => {
     return !(joi.validate(answers, schema).error);
@@ -81,7 +83,8 @@ module.exports = async (currentConfiguration, conf, program) => {
             currentConfiguration.generatePDF === undefined ? 'generatePDF' : currentConfiguration.generatePDF ? 'generatePDF' : null,
             currentConfiguration.generateCompleteMD === undefined ? 'generateCompleteMD' : currentConfiguration.generateCompleteMD ? 'generateCompleteMD' : null,
             currentConfiguration.generateCompletePDF === undefined ? 'generateCompletePDF' : currentConfiguration.generateCompletePDF ? 'generateCompletePDF' : null,
-            currentConfiguration.generateWEB === undefined ? 'generateWEB' : currentConfiguration.generateWEB ? 'generateWEB' : null
+            currentConfiguration.generateWEB === undefined ? 'generateWEB' : currentConfiguration.generateWEB ? 'generateWEB' : null,
+            currentConfiguration.generateHTML ? 'generateHTML' : null
         ];
 
         responses = await inquirer.prompt({
@@ -104,7 +107,12 @@ module.exports = async (currentConfiguration, conf, program) => {
             }, {
                 name: 'Generate website',
                 value: 'generateWEB'
-            }]
+            }, {
+                name: 'Generate a static html site',
+                value: 'generateHTML'
+            }],
+            validate: answers => answers.includes('generateWEB') && answers.includes('generateHTML') ?
+                'the website and the static html site both write index.html, choose only one of them' : true
         });
 
         conf.set('generateMD', !!responses.generate.find(x => x === 'generateMD'));
@@ -112,6 +120,7 @@ module.exports = async (currentConfiguration, conf, program) => {
         conf.set('generateCompleteMD', !!responses.generate.find(x => x === 'generateCompleteMD'));
         conf.set('generateCompletePDF', !!responses.generate.find(x => x === 'generateCompletePDF'));
         conf.set('generateWEB', !!responses.generate.find(x => x === 'generateWEB'));
+        conf.set('generateHTML', !!responses.generate.find(x => x === 'generateHTML'));
 
         if (!!responses.generate.find(x => x === 'generateMD')) {
             let mdOptions = await inquirer.prompt({
@@ -140,6 +149,33 @@ module.exports = async (currentConfiguration, conf, program) => {
             });
             conf.set('webTheme', webOptions.webTheme);
 
+            webOptions = await inquirer.prompt({
+                type: 'confirm',
+                name: 'offline',
+                message: 'Bundle docsify, its theme and C4-PlantUML for offline use?',
+                default: currentConfiguration.offline === undefined ? false : currentConfiguration.offline
+            });
+            conf.set('offline', webOptions.offline);
+
+            //script urls can only be set in the config file or with --web-plugins, they are kept
+            let webPlugins = currentConfiguration.webPlugins || [];
+            webOptions = await inquirer.prompt({
+                type: 'checkbox',
+                name: 'webPlugins',
+                message: 'Docsify plugins:',
+                default: webPlugins.filter(x => DOCSIFY_PLUGINS[x]),
+                choices: Object.keys(DOCSIFY_PLUGINS)
+            });
+            conf.set('webPlugins', webOptions.webPlugins.concat(webPlugins.filter(x => !DOCSIFY_PLUGINS[x])));
+
+            webOptions = await inquirer.prompt({
+                type: 'confirm',
+                name: 'webCoverpage',
+                message: 'Generate a cover page?',
+                default: currentConfiguration.webCoverpage === undefined ? false : currentConfiguration.webCoverpage
+            });
+            conf.set('webCoverpage', webOptions.webCoverpage);
+
             webOptions = await inquirer.prompt({
                 type: 'input',
                 name: 'repoUrl',
@@ -166,6 +202,16 @@ module.exports = async (currentConfiguration, conf, program) => {
             });
             conf.set('pdfCss', pdfOptions.pdfCss);
         }
+
+        if (!!responses.generate.find(x => x === 'generateHTML')) {
+            let htmlOptions = await inquirer.prompt({
+                type: 'input',
+                name: 'htmlCss',
+                message: 'Add a custom css for the html site (filename)?',
+                default: currentConfiguration.htmlCss
+            });
+            conf.set('htmlCss', htmlOptions.htmlCss);
+        }
     }
     if (currentConfiguration.generateLocalImages === undefined ||
         currentConfiguration.includeBreadcrumbs === undefined || currentConfiguration.includeLinkToDiagram === undefined || program.config) {
@@ -173,7 +219,8 @@ module.exports = async (currentConfiguration, conf, program) => {
             currentConfiguration.includeBreadcrumbs === undefined ? 'includeBreadcrumbs' : currentConfiguration.includeBreadcrumbs ? 'includeBreadcrumbs' : null,
             currentConfiguration.generateLocalImages === undefined ? null : currentConfiguration.generateLocalImages ? 'generateLocalImages' : null,
             currentConfiguration.includeLinkToDiagram === undefined ? null : currentConfiguration.includeLinkToDiagram ? 'includeLinkToDiagram' : null,
-            currentConfiguration.diagramsOnTop === undefined ? null : currentConfiguration.diagramsOnTop ? 'diagramsOnTop' : null
+            currentConfiguration.diagramsOnTop === undefined ? null : currentConfiguration.diagramsOnTop ? 'diagramsOnTop' : null,
+            currentConfiguration.includeCatalog ? 'includeCatalog' : null
         ];
         responses = await inquirer.prompt({
             type: 'checkbox',
@@ -192,11 +239,48 @@ module.exports = async (currentConfiguration, conf, program) => {
             }, {
                 name: 'Place diagrams before text',
                 value: 'diagramsOnTop'
+            }, {
+                name: 'Include the catalog of the C4 elements',
+                value: 'includeCatalog'
             }]
         });
         conf.set('includeBreadcrumbs', !!responses.generate.find(x => x === 'includeBreadcrumbs'));
         conf.set('generateLocalImages', !!responses.generate.find(x => x === 'generateLocalImages'));
         conf.set('includeLinkToDiagram', !!responses.generate.find(x => x === 'includeLinkToDiagram'));
         conf.set('diagramsOnTop', !!responses.generate.find(x => x === 'diagramsOnTop'));
+        conf.set('includeCatalog', !!responses.generate.find(x => x === 'includeCatalog'));
+
+        let generateLocalImages = !!responses.generate.find(x => x === 'generateLocalImages');
+        let fetchServerImages = false;
+        if (!generateLocalImages) {
+            let serverOptions = await inquirer.prompt({
+                type: 'input',
+                name: 'plantumlServerUrl',
+                message: 'PlantUML server url:',
+                default: currentConfiguration.plantumlServerUrl || 'https://www.plantuml.com/plantuml',
+                validate: validate(joi.string().uri({ scheme: ['http', 'https'] }))
+            });
+            conf.set('plantumlServerUrl', serverOptions.plantumlServerUrl);
+
+            serverOptions = await inquirer.prompt({
+                type: 'confirm',
+                name: 'fetchServerImages',
+                message: 'Download the diagram images from the server at build time?',
+                default: currentConfiguration.fetchServerImages === undefined ? false : currentConfiguration.fetchServerImages
+            });
+            conf.set('fetchServerImages', serverOptions.fetchServerImages);
+            fetchServerImages = serverOptions.fetchServerImages;
+        }
+
+        if (generateLocalImages || fetchServerImages) {
+            let imageOptions = await inquirer.prompt({
+                type: 'input',
+                name: 'diagramConcurrency',
+                message: 'How many diagrams should be rendered at the same time?',
+                default: currentConfiguration.diagramConcurrency || os.cpus().length,
+                validate: validate(joi.number().integer().min(1))
+            });
+            conf.set('diagramConcurrency', parseInt(imageOptions.diagramConcurrency));
+        }
     }
 };
\ No newline at end of file
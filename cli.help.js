@@ -8,6 +8,9 @@ Full documentation
 ${chalk.blue('https://adrianvlupu.github.io/C4-Builder/')}
 
 CONFIGURATION OPTIONS 
+Every option can also be set with a flag or a C4BUILDER_ environment variable, see c4builder --help.
+Use --ci or --yes to build without prompts, the project name, root and destination folders are required.
+A c4builder.config.js, .json or .yaml file replaces the wizard, run c4builder migrate to create one from the current configuration.
 ${chalk.cyan('Project Name')}
 Will be used as the #header of the resulting documentation.
 ${chalk.cyan('HomePage Name')}
@@ -37,13 +40,43 @@ ${chalk.cyan('Generate website')}
 Uses docsify to generate a website with a sidebar for navigation. The site can be easily deployed to github pages.
     ${chalk.cyan('Website docsify theme')}
     Changes the default theme of the generated docsify website
+    ${chalk.cyan('Bundle assets for offline use')}
+    Copies docsify, docsify-plantuml, the theme and the C4-PlantUML library into the vendor folder of the destination folder.
+    The site only loads local files and the remote C4-PlantUML includes are inlined from the copy shipped with c4builder.
+    ${chalk.cyan('Docsify plugins')}
+    Adds the search, zoom-image, copy-code and pagination plugins to the site. Other plugins can be added by script url in the config file.
+    ${chalk.cyan('Generate a cover page')}
+    Generates _coverpage.md with the project name, the description of the root folder and links to the repository and the homepage.
+${chalk.cyan('Generate a static html site')}
+Renders every folder into an index.html with a sidebar, breadcrumbs and inline svg diagrams. It needs no javascript and can be deployed to any static host.
+It replaces the docsify website, both write index.html.
+    ${chalk.cyan('Custom html css')}
+    Replaces the default stylesheet of the static html site.
+${chalk.cyan('Generate C4 model')}
+Reads the Person, System, Container, Component, Boundary and Rel macros of every diagram and writes them to model.json, enabled by default.
 ${chalk.cyan('Generate diagram images locally')}
 Uses the localy installed plantuml package to build svg images for each diagram.
+Rendered images are cached in the .c4builder-cache folder and reused until the diagram or its local includes change.
+    ${chalk.cyan('PlantUML server url')}
+    When the images are not generated locally the diagrams are rendered by this server, https://www.plantuml.com/plantuml by default.
+    Point it to a self-hosted server, for example the plantuml/plantuml-server docker image, to keep the diagrams private.
+    ${chalk.cyan('Download images from the server')}
+    Fetches the images from the server at build time and embeds them like local images, so the generated docs work offline.
+    ${chalk.cyan('Diagrams rendered at the same time')}
+    Limits the number of plantuml processes. A diagram that fails to render is reported and stops the build unless --keep-going is used.
+${chalk.cyan('Diagram format')}
+Image format of the diagrams: svg, png, pdf or eps. When it is not set the pdf files use png and the other outputs svg.
+${chalk.cyan('Link diagram elements to their folders')}
+Makes the elements of the local svg diagrams of the website and the static html site clickable, they open the child folder named after them.
+The links front matter maps element aliases to other folders, and --diagram-link-syntax $link passes the links to the C4-PlantUML macros instead of [[url]].
 ${chalk.cyan('Replace diagrams with a link')}
 Replaces the diagram images with links.
 ${chalk.cyan('Include breadcrumbs')}
 Shows the original folder hierarchy after each title.
 ${chalk.cyan('Place diagrams before text')}
 Choose to place diagrams before or after the text.
+${chalk.cyan('Include the catalog of the C4 elements')}
+Adds a table of the elements declared by the diagrams of each folder, with their technology, description and relationships.
+The website, the static html site and the complete files get a catalog of the whole project, each element links to the folder defining it.
     `);
 };
\ No newline at end of file
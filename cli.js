@@ -11,6 +11,17 @@ const cmdNewProject = require('./cli.new');
 const cmdList = require('./cli.list');
 const cmdSite = require('./cli.site');
 const cmdCollect = require('./cli.collect');
+const cmdMigrate = require('./cli.migrate');
+const {
+    options,
+    getOverrides
+} = require('./cli.options');
+const {
+    findConfigFile,
+    loadConfig,
+    toConfiguration,
+    validateConfiguration
+} = require('./config');
 
 const {
     clearConsole
@@ -25,13 +36,31 @@ module.exports = async () => {
         .option('config', 'change configuration for the current directory')
         .option('list', 'display the current configuration')
         .option('reset', 'clear all configuration')
+        .option('migrate', 'move the configuration from .c4builder into c4builder.config.json')
         .option('site', 'serve the generated site')
+        .option('check', 'check the links, images and diagrams without building, exits with 1 when there are problems')
+        .option('watch, --watch', 'build and rebuild the affected folders when the source files change, combine with site for live reload')
         .option('docs', 'a brief explanation for the available configuration options')
-        .option('-p, --port <n>', 'port used for serving the generated site', parseInt)
-        .parse(process.argv);
+        .option('--keep-going', 'finish the build even if some diagrams failed to render')
+        .option('--ci', 'never prompt, use the defaults and fail when a required value is missing')
+        .option('-y, --yes', 'same as --ci');
+    for (const option of options)
+        program.option(option.flags, option.description, option.parse);
+    program.parse(process.argv);
 
     let conf = { get: () => { } };
-    if (!program.new)
+    let configFile = program.new ? undefined : findConfigFile(process.cwd());
+    if (configFile) {
+        //the project config file replaces the configuration stored by the wizard
+        try {
+            let configuration = toConfiguration(loadConfig(configFile));
+            conf = { get: key => configuration[key], set: () => { } };
+        } catch (err) {
+            console.log(chalk.red(err.message));
+            process.exitCode = 1;
+            return;
+        }
+    } else if (!program.new)
         conf = new Configstore(process.cwd().split(path.sep).splice(1).join('_'), {}, { configPath: path.join(process.cwd(), '.c4builder') });
 
     if (program.docs)
@@ -48,25 +77,47 @@ module.exports = async () => {
         generatePDF: conf.get('generatePDF'),
         generateCompletePDF: conf.get('generateCompletePDF'),
         generateWEB: conf.get('generateWEB'),
+        generateHTML: conf.get('generateHTML'),
+        generateModel: conf.get('generateModel'),
+        lintRules: conf.get('lintRules'),
         homepageName: conf.get('homepageName'),
         generateLocalImages: conf.get('generateLocalImages'),
+        plantumlServerUrl: conf.get('plantumlServerUrl'),
+        fetchServerImages: conf.get('fetchServerImages'),
         includeLinkToDiagram: conf.get('includeLinkToDiagram'),
         includeBreadcrumbs: conf.get('includeBreadcrumbs'),
         webTheme: conf.get('webTheme'),
+        offline: conf.get('offline'),
+        webPlugins: conf.get('webPlugins'),
+        webCoverpage: conf.get('webCoverpage'),
+        docsifyOptions: conf.get('docsifyOptions'),
         webPort: conf.get('webPort'),
         repoUrl: conf.get('repoUrl'),
         pdfCss: conf.get('pdfCss'),
+        htmlCss: conf.get('htmlCss'),
         diagramsOnTop: conf.get('diagramsOnTop'),
+        includeCatalog: conf.get('includeCatalog'),
+        diagramConcurrency: conf.get('diagramConcurrency'),
+        diagramFormat: conf.get('diagramFormat'),
+        diagramFormats: conf.get('diagramFormats'),
+        diagramLinks: conf.get('diagramLinks'),
+        diagramLinkSyntax: conf.get('diagramLinkSyntax'),
         hasRun: conf.get('hasRun')
     }
 
-    if (program.new || program.config || !currentConfiguration.hasRun)
+    const ci = program.ci || program.yes;
+
+    //flags and environment variables override the stored configuration without changing it
+    let overrides = getOverrides(program, process.env);
+    Object.assign(currentConfiguration, overrides);
+
+    if ((program.new || program.config || !currentConfiguration.hasRun) && !ci)
         clearConsole();
 
     console.log(chalk.blue(figlet.textSync('c4builder')));
     console.log(chalk.gray('Blow up your software documentation writing skills'));
 
-    if (!currentConfiguration.hasRun && !program.new) {
+    if (!currentConfiguration.hasRun && !program.new && !ci) {
         console.log(`\nif you created the project using the 'c4model new' command you can just press enter and go with the default options to get a basic idea of how it works.\n`);
         console.log(`you can always change the configuration by running > c4builder config\n`);
     }
@@ -75,8 +126,29 @@ module.exports = async () => {
         return cmdNewProject();
     if (program.list)
         return cmdList(currentConfiguration);
+    if (program.migrate)
+        return cmdMigrate(currentConfiguration);
+
+    if (configFile && (program.config || program.reset)) {
+        console.log(chalk.red(`the configuration is read from ${path.basename(configFile)}, edit the file instead`));
+        return;
+    }
+
+    //flags and environment variables follow the rules of the config file
+    let invalid = program.reset ? [] : validateConfiguration(currentConfiguration);
+    if (invalid.length) {
+        console.log(chalk.red('\ninvalid configuration'));
+        for (const value of invalid) {
+            let option = options.find(x => overrides[x.key] !== undefined &&
+                validateConfiguration({ [x.key]: overrides[x.key] }).find(y => y.path === value.path));
+            console.log(`  ${value.path}: ${value.message}${option ? ` (${option.long} or ${option.env})` : ''}`);
+        }
+        process.exitCode = 1;
+        return;
+    }
 
-    if (program.site)
+    //site --watch needs the configuration to build first
+    if (program.site && !program.watch)
         return await cmdSite(currentConfiguration, program);
 
     if (program.reset) {
@@ -85,11 +157,28 @@ module.exports = async () => {
         return;
     }
 
-    await cmdCollect(currentConfiguration, conf, program);
+    if (ci) {
+        let missing = options.filter(x => x.required && currentConfiguration[x.key] === undefined);
+        if (missing.length) {
+            console.log(chalk.red('\nmissing required configuration'));
+            for (const option of missing)
+                console.log(`${option.key}: use ${option.long} or ${option.env}`);
+            process.exitCode = 1;
+            return;
+        }
+
+        for (const option of options) {
+            if (currentConfiguration[option.key] === undefined && option.default !== undefined)
+                overrides[option.key] = option.default;
+        }
+    } else if (!configFile)
+        await cmdCollect(currentConfiguration, conf, program);
 
     if (!program.config) {
         conf.set('hasRun', true);
 
-        return conf;
+        return {
+            get: key => overrides[key] !== undefined ? overrides[key] : conf.get(key)
+        };
     }
 };
\ No newline at end of file
@@ -21,13 +21,33 @@ Generate a single complete pdf file: ${currentConfiguration.generateCompletePDF
             : ''}
 Generate website: ${currentConfiguration.generateWEB !== undefined ? chalk.green(currentConfiguration.generateWEB) : chalk.red('not set')}
     ${currentConfiguration.generateWEB ?
-            `Website docsify theme: ${currentConfiguration.webTheme ? chalk.green(currentConfiguration.webTheme) : chalk.red('not set')}`
+            `Website docsify theme: ${currentConfiguration.webTheme ? chalk.green(currentConfiguration.webTheme) : chalk.red('not set')}
+    Bundle assets for offline use: ${currentConfiguration.offline !== undefined ? chalk.green(currentConfiguration.offline) : chalk.red('not set')}
+    Docsify plugins: ${currentConfiguration.webPlugins && currentConfiguration.webPlugins.length ? chalk.green(currentConfiguration.webPlugins.join(', ')) : chalk.gray('none')}
+    Generate a cover page: ${currentConfiguration.webCoverpage !== undefined ? chalk.green(currentConfiguration.webCoverpage) : chalk.red('not set')}`
             : ''}
+Generate static html site: ${currentConfiguration.generateHTML !== undefined ? chalk.green(currentConfiguration.generateHTML) : chalk.red('not set')}
+    ${currentConfiguration.generateHTML ?
+            `Custom html css: ${currentConfiguration.htmlCss ? chalk.green(currentConfiguration.htmlCss) : chalk.red('not set')}`
+            : ''}
+Generate C4 model: ${currentConfiguration.generateModel !== undefined ? chalk.green(currentConfiguration.generateModel) : chalk.gray('true')}
 Repository Url: ${currentConfiguration.repoUrl ? chalk.green(currentConfiguration.repoUrl) : chalk.red('not set')}
 Include breadcrumbs: ${currentConfiguration.includeBreadcrumbs !== undefined ? chalk.green(currentConfiguration.includeBreadcrumbs) : chalk.red('not set')}
 Generate diagram images locally: ${currentConfiguration.generateLocalImages !== undefined ? chalk.green(currentConfiguration.generateLocalImages) : chalk.red('not set')}
+    ${!currentConfiguration.generateLocalImages ?
+            `PlantUML server url: ${currentConfiguration.plantumlServerUrl ? chalk.green(currentConfiguration.plantumlServerUrl) : chalk.red('not set')}
+    Download images from the server: ${currentConfiguration.fetchServerImages !== undefined ? chalk.green(currentConfiguration.fetchServerImages) : chalk.red('not set')}`
+            : ''}
+    ${currentConfiguration.generateLocalImages || currentConfiguration.fetchServerImages ?
+            `Diagrams rendered at the same time: ${currentConfiguration.diagramConcurrency ? chalk.green(currentConfiguration.diagramConcurrency) : chalk.red('not set')}`
+            : ''}
+Diagram format: ${currentConfiguration.diagramFormat ? chalk.green(currentConfiguration.diagramFormat) : chalk.gray('svg, png for the pdf files')}${Object.keys(currentConfiguration.diagramFormats || {}).length ?
+            ` (${Object.keys(currentConfiguration.diagramFormats).map(x => `${x}: ${chalk.green(currentConfiguration.diagramFormats[x])}`).join(', ')})`
+            : ''}
+Link diagram elements to their folders: ${currentConfiguration.diagramLinks !== undefined ? chalk.green(currentConfiguration.diagramLinks) : chalk.gray('true')}${currentConfiguration.diagramLinkSyntax ? ` (${chalk.green(currentConfiguration.diagramLinkSyntax)})` : ''}
 Replace diagrams with a link: ${currentConfiguration.includeLinkToDiagram !== undefined ? chalk.green(currentConfiguration.includeLinkToDiagram) : chalk.red('not set')}
 Place diagrams before text: ${currentConfiguration.diagramsOnTop !== undefined ? chalk.green(currentConfiguration.diagramsOnTop) : chalk.red('not set')}
+Include the catalog of the C4 elements: ${currentConfiguration.includeCatalog !== undefined ? chalk.green(currentConfiguration.includeCatalog) : chalk.red('not set')}
 `);
     return;
 };
\ No newline at end of file
@@ -0,0 +1,33 @@
+const chalk = require('chalk');
+const path = require('path');
+
+const {
+    writeFile
+} = require('./utils.js');
+const {
+    CONFIG_FILES,
+    findConfigFile,
+    loadConfig,
+    fromConfiguration
+} = require('./config');
+
+module.exports = async (currentConfiguration) => {
+    let existing = findConfigFile(process.cwd());
+    if (existing)
+        return console.log(chalk.red(`${path.basename(existing)} already exists`));
+    if (!currentConfiguration.hasRun)
+        return console.log(chalk.red('No .c4builder configuration to migrate'));
+
+    let file = path.join(process.cwd(), CONFIG_FILES[1]);
+    await writeFile(file, JSON.stringify(fromConfiguration(currentConfiguration), null, 4));
+    console.log(chalk.green(`the configuration was written to ${CONFIG_FILES[1]}`));
+
+    //the wizard accepts values the schema doesn't
+    try {
+        loadConfig(file);
+    } catch (err) {
+        console.log(chalk.yellow(err.message));
+        console.log(chalk.gray('fix the values above before the next build'));
+    }
+    console.log(chalk.gray('the .c4builder file is no longer used and can be deleted'));
+};
@@ -0,0 +1,75 @@
+//a bare flag is true, any other value is kept as is and reported by the validation of the configuration
+const parseBoolean = value => {
+    let text = String(value).trim();
+    if (/^(true|yes|1|)$/i.test(text))
+        return true;
+    if (/^(false|no|0)$/i.test(text))
+        return false;
+    return value;
+};
+
+//every configuration key can be set with a flag or a C4BUILDER_ environment variable
+//required values have no default in --ci mode, the rest default to the wizard defaults
+const options = [
+    { key: 'projectName', flags: '--project-name <name>', description: 'project name', required: true },
+    { key: 'homepageName', flags: '--homepage-name <name>', description: 'homepage name', default: 'Overview' },
+    { key: 'rootFolder', flags: '--root-folder <folder>', description: 'root documentation folder', required: true },
+    { key: 'distFolder', flags: '--dist-folder <folder>', description: 'destination folder', required: true },
+    { key: 'generateMD', flags: '--generate-md [bool]', description: 'generate multiple markdown files', parse: parseBoolean, default: true },
+    { key: 'includeNavigation', flags: '--include-navigation [bool]', description: 'include basic navigation in the markdown files', parse: parseBoolean, default: false },
+    { key: 'includeTableOfContents', flags: '--include-table-of-contents [bool]', description: 'include a table of contents in the markdown files', parse: parseBoolean, default: true },
+    { key: 'generateCompleteMD', flags: '--generate-complete-md [bool]', description: 'generate a single complete markdown file', parse: parseBoolean, default: true },
+    { key: 'generatePDF', flags: '--generate-pdf [bool]', description: 'generate multiple pdf files', parse: parseBoolean, default: true },
+    { key: 'generateCompletePDF', flags: '--generate-complete-pdf [bool]', description: 'generate a single complete pdf file', parse: parseBoolean, default: true },
+    { key: 'generateWEB', flags: '--generate-web [bool]', description: 'generate the docsify website', parse: parseBoolean, default: true },
+    { key: 'generateHTML', flags: '--generate-html [bool]', description: 'generate the static html site', parse: parseBoolean, default: false },
+    { key: 'generateModel', flags: '--generate-model [bool]', description: 'write the C4 elements and relationships of the diagrams to model.json', parse: parseBoolean, default: true },
+    { key: 'webTheme', flags: '--web-theme <url>', description: 'docsify theme stylesheet', default: '//unpkg.com/docsify/lib/themes/vue.css' },
+    { key: 'webPlugins', flags: '--web-plugins <names>', description: 'comma separated docsify plugins: search, zoom-image, copy-code, pagination or script urls', parse: value => value.split(',').map(x => x.trim()).filter(x => x) },
+    { key: 'webCoverpage', flags: '--web-coverpage [bool]', description: 'generate a docsify cover page', parse: parseBoolean, default: false },
+    { key: 'offline', flags: '--offline [bool]', description: 'bundle docsify, its theme and C4-PlantUML instead of loading them from the internet', parse: parseBoolean, default: false },
+    { key: 'webPort', flags: '-p, --port <n>', description: 'port used for serving the generated site', parse: parseInt, default: 3000 },
+    { key: 'repoUrl', flags: '--repo-url <url>', description: 'repository url shown on the website' },
+    { key: 'pdfCss', flags: '--pdf-css <file>', description: 'custom css used for the pdf files' },
+    { key: 'htmlCss', flags: '--html-css <file>', description: 'custom css used for the static html site' },
+    { key: 'generateLocalImages', flags: '--generate-local-images [bool]', description: 'generate the diagram images locally', parse: parseBoolean, default: false },
+    { key: 'plantumlServerUrl', flags: '--plantuml-server-url <url>', description: 'plantuml server used when the images are not generated locally', default: 'https://www.plantuml.com/plantuml' },
+    { key: 'fetchServerImages', flags: '--fetch-server-images [bool]', description: 'download the diagram images from the plantuml server at build time', parse: parseBoolean, default: false },
+    { key: 'diagramFormat', flags: '--diagram-format <format>', description: 'image format of the diagrams: svg, png, pdf or eps' },
+    { key: 'diagramConcurrency', flags: '-c, --concurrency <n>', description: 'maximum number of diagrams rendered at the same time', parse: parseInt },
+    { key: 'diagramLinks', flags: '--diagram-links [bool]', description: 'link the diagram elements to the folders zooming into them', parse: parseBoolean, default: true },
+    { key: 'diagramLinkSyntax', flags: '--diagram-link-syntax <syntax>', description: 'how the links are added to the diagram elements: url or $link', default: 'url' },
+    { key: 'includeLinkToDiagram', flags: '--include-link-to-diagram [bool]', description: 'replace the diagrams with a link', parse: parseBoolean, default: false },
+    { key: 'includeBreadcrumbs', flags: '--include-breadcrumbs [bool]', description: 'include breadcrumbs after each title', parse: parseBoolean, default: true },
+    { key: 'includeCatalog', flags: '--include-catalog [bool]', description: 'include the catalog of the C4 elements of the diagrams', parse: parseBoolean, default: false },
+    { key: 'diagramsOnTop', flags: '--diagrams-on-top [bool]', description: 'place the diagrams before the text', parse: parseBoolean, default: false }
+];
+
+for (const option of options) {
+    let long = option.flags.match(/--([\w-]+)/)[1];
+    //the property commander sets on the program
+    option.attribute = long.split('-').reduce((name, word) => name + word.charAt(0).toUpperCase() + word.slice(1));
+    option.env = `C4BUILDER_${option.key.replace(/([a-z])([A-Z])/g, '$1_$2').toUpperCase()}`;
+    option.long = `--${long}`;
+    if (!option.parse)
+        option.parse = value => value;
+}
+
+/**
+ * collects the values set through flags or environment variables, flags take precedence
+ */
+const getOverrides = (program, env) => {
+    let overrides = {};
+    for (const option of options) {
+        if (program[option.attribute] !== undefined)
+            overrides[option.key] = program[option.attribute];
+        else if (env[option.env] !== undefined)
+            overrides[option.key] = option.parse(env[option.env]);
+    }
+    return overrides;
+};
+
+module.exports = {
+    options,
+    getOverrides
+};
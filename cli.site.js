@@ -1,13 +1,50 @@
 const chalk = require('chalk');
+const fs = require('fs');
 const path = require('path');
 const express = require('express')
 const app = express()
 
+//browsers listening for reloads
+let clients = [];
+
+const reloadScript = `<script>
+        new EventSource('/__reload').onmessage = function () { location.reload(); };
+      </script>
+    </body>`;
+
 module.exports = (currentConfiguration, program) => {
     if (!currentConfiguration.distFolder)
         return console.log(chalk.red('No destination folder configured'));
 
     const port = program.port || currentConfiguration.webPort;
+
+    if (program.watch) {
+        //live reload using server-sent events
+        app.get('/__reload', (req, res) => {
+            res.writeHead(200, {
+                'Content-Type': 'text/event-stream',
+                'Cache-Control': 'no-cache',
+                'Connection': 'keep-alive'
+            });
+            res.write('\n');
+            clients.push(res);
+            req.on('close', () => {
+                clients = clients.filter(x => x !== res);
+            });
+        });
+        //the docsify homepage and the pages of the static html site get the reload listener injected
+        app.get(/(\/|\/index\.html)$/, (req, res, next) => {
+            let root = path.resolve(currentConfiguration.distFolder);
+            let file = path.join(root, decodeURIComponent(req.path).replace(/\/(index\.html)?$/, ''), 'index.html');
+            if (!file.startsWith(root))
+                return next();
+            fs.readFile(file, 'utf8', (err, data) => {
+                if (err)
+                    return res.sendStatus(404);
+                res.type('html').send(data.replace('</body>', reloadScript));
+            });
+        });
+    }
     app.get('/*', express.static(path.join(currentConfiguration.distFolder)));
 
     return new Promise((resolve, reject) => {
@@ -16,4 +53,12 @@ module.exports = (currentConfiguration, program) => {
             console.log(`go to ${chalk.green('http://localhost:' + (program.port || currentConfiguration.webPort))}`);
         });
     });
-};
\ No newline at end of file
+};
+
+/**
+ * tells all the open browsers to reload the page
+ */
+module.exports.reload = () => {
+    for (const res of clients)
+        res.write('data: reload\n\n');
+};
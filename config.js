@@ -0,0 +1,250 @@
+const joi = require('joi');
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const { DOCSIFY_PLUGINS } = require('./vendor');
+const {
+    SEVERITIES,
+    RULES
+} = require('./lint');
+
+const CONFIG_VERSION = 1;
+const CONFIG_FILES = ['c4builder.config.js', 'c4builder.config.json', 'c4builder.config.yaml', 'c4builder.config.yml'];
+const DIAGRAM_FORMATS = ['svg', 'png', 'pdf', 'eps'];
+const diagramFormat = joi.string().valid(DIAGRAM_FORMATS);
+//[[url]] after the element or the $link argument of C4-PlantUML
+const LINK_SYNTAXES = ['url', '$link'];
+
+const schema = joi.object({
+    version: joi.number().valid(CONFIG_VERSION).required(),
+    projectName: joi.string().trim().required(),
+    homepageName: joi.string().trim().default('Overview'),
+    rootFolder: joi.string().trim().required(),
+    distFolder: joi.string().trim().required(),
+    repoUrl: joi.string().allow(''),
+    includeBreadcrumbs: joi.boolean().default(true),
+    includeLinkToDiagram: joi.boolean().default(false),
+    diagramsOnTop: joi.boolean().default(false),
+    includeCatalog: joi.boolean().default(false),
+    offline: joi.boolean().default(false),
+    web: joi.object({
+        enabled: joi.boolean().default(true),
+        theme: joi.string().default('//unpkg.com/docsify/lib/themes/vue.css'),
+        port: joi.number().integer().min(1).default(3000),
+        diagramFormat: diagramFormat,
+        plugins: joi.array().items(
+            joi.string().valid(Object.keys(DOCSIFY_PLUGINS)),
+            joi.string().regex(/\.js(\?.*)?$/, 'script url')
+        ).default([]),
+        docsifyOptions: joi.object().default({}),
+        coverpage: joi.boolean().default(false)
+    }).default(),
+    html: joi.object({
+        enabled: joi.boolean().default(false),
+        css: joi.string(),
+        diagramFormat: diagramFormat
+    }).default(),
+    pdf: joi.object({
+        enabled: joi.boolean().default(false),
+        complete: joi.boolean().default(false),
+        css: joi.string(),
+        diagramFormat: diagramFormat
+    }).default(),
+    markdown: joi.object({
+        enabled: joi.boolean().default(false),
+        complete: joi.boolean().default(true),
+        includeNavigation: joi.boolean().default(false),
+        includeTableOfContents: joi.boolean().default(true),
+        diagramFormat: diagramFormat
+    }).default(),
+    model: joi.object({
+        enabled: joi.boolean().default(true)
+    }).default(),
+    //severity by rule
+    lint: joi.object(Object.keys(RULES).reduce((keys, rule) => Object.assign(keys, {
+        [rule]: joi.string().valid(SEVERITIES)
+    }), {})).default({}),
+    diagrams: joi.object({
+        local: joi.boolean().default(false),
+        serverUrl: joi.string().uri({ scheme: ['http', 'https'] }).default('https://www.plantuml.com/plantuml'),
+        fetch: joi.boolean().default(false),
+        format: diagramFormat,
+        concurrency: joi.number().integer().min(1),
+        links: joi.boolean().default(true),
+        linkSyntax: joi.string().valid(LINK_SYNTAXES).default('url')
+    }).default(),
+    plugins: joi.array().items(
+        joi.string(),
+        joi.object({
+            name: joi.string().required(),
+            options: joi.object()
+        })
+    ).default([])
+});
+
+/**
+ * returns the path of the project config file or undefined
+ */
+const findConfigFile = dir => CONFIG_FILES
+    .map(x => path.join(dir, x))
+    .find(x => fs.existsSync(x));
+
+/**
+ * reads and validates the project config file
+ * throws an error listing every invalid key
+ */
+const loadConfig = file => {
+    let config;
+    if (path.extname(file) === '.js')
+        config = require(path.resolve(file));
+    else if (path.extname(file) === '.json')
+        config = JSON.parse(fs.readFileSync(file, 'utf8'));
+    else
+        config = yaml.safeLoad(fs.readFileSync(file, 'utf8'));
+
+    let result = joi.validate(config || {}, schema, { abortEarly: false });
+    if (result.error) {
+        let details = result.error.details.map(x => `  ${x.path.join('.') || 'config'}: ${x.message}`);
+        throw new Error(`invalid configuration in ${path.basename(file)}\n${details.join('\n')}`);
+    }
+
+    return result.value;
+};
+
+/**
+ * flattens the config file into the keys used by the wizard and the build
+ */
+const toConfiguration = config => ({
+    projectName: config.projectName,
+    homepageName: config.homepageName,
+    rootFolder: config.rootFolder,
+    distFolder: config.distFolder,
+    repoUrl: config.repoUrl,
+    includeBreadcrumbs: config.includeBreadcrumbs,
+    includeLinkToDiagram: config.includeLinkToDiagram,
+    diagramsOnTop: config.diagramsOnTop,
+    includeCatalog: config.includeCatalog,
+    offline: config.offline,
+    generateWEB: config.web.enabled,
+    webTheme: config.web.theme,
+    webPort: config.web.port,
+    webPlugins: config.web.plugins,
+    webCoverpage: config.web.coverpage,
+    docsifyOptions: config.web.docsifyOptions,
+    generateHTML: config.html.enabled,
+    htmlCss: config.html.css,
+    generatePDF: config.pdf.enabled,
+    generateCompletePDF: config.pdf.complete,
+    pdfCss: config.pdf.css,
+    generateMD: config.markdown.enabled,
+    generateCompleteMD: config.markdown.complete,
+    includeNavigation: config.markdown.includeNavigation,
+    includeTableOfContents: config.markdown.includeTableOfContents,
+    generateModel: config.model.enabled,
+    lintRules: config.lint,
+    generateLocalImages: config.diagrams.local,
+    plantumlServerUrl: config.diagrams.serverUrl,
+    fetchServerImages: config.diagrams.fetch,
+    diagramConcurrency: config.diagrams.concurrency,
+    diagramFormat: config.diagrams.format,
+    diagramLinks: config.diagrams.links,
+    diagramLinkSyntax: config.diagrams.linkSyntax,
+    //the markdown and pdf formats apply to their complete files as well
+    diagramFormats: JSON.parse(JSON.stringify({
+        'web': config.web.diagramFormat,
+        'html': config.html.diagramFormat,
+        'markdown': config.markdown.diagramFormat,
+        'complete-markdown': config.markdown.diagramFormat,
+        'pdf': config.pdf.diagramFormat,
+        'complete-pdf': config.pdf.diagramFormat
+    })),
+    plugins: config.plugins,
+    hasRun: true
+});
+
+/**
+ * builds a config file from the keys stored by the wizard in .c4builder
+ */
+const fromConfiguration = configuration => {
+    //drop the values that were never set
+    const clean = obj => JSON.parse(JSON.stringify(obj));
+    const formats = configuration.diagramFormats || {};
+
+    return clean({
+        version: CONFIG_VERSION,
+        projectName: configuration.projectName,
+        homepageName: configuration.homepageName,
+        rootFolder: configuration.rootFolder,
+        distFolder: configuration.distFolder,
+        repoUrl: configuration.repoUrl,
+        includeBreadcrumbs: configuration.includeBreadcrumbs,
+        includeLinkToDiagram: configuration.includeLinkToDiagram,
+        diagramsOnTop: configuration.diagramsOnTop,
+        includeCatalog: configuration.includeCatalog,
+        offline: configuration.offline,
+        web: {
+            enabled: configuration.generateWEB,
+            theme: configuration.webTheme,
+            port: configuration.webPort ? parseInt(configuration.webPort) : undefined,
+            plugins: configuration.webPlugins,
+            coverpage: configuration.webCoverpage,
+            docsifyOptions: configuration.docsifyOptions,
+            diagramFormat: formats.web
+        },
+        html: {
+            enabled: configuration.generateHTML,
+            css: configuration.htmlCss || undefined,
+            diagramFormat: formats.html
+        },
+        pdf: {
+            enabled: configuration.generatePDF,
+            complete: configuration.generateCompletePDF,
+            css: configuration.pdfCss || undefined,
+            diagramFormat: formats.pdf
+        },
+        markdown: {
+            enabled: configuration.generateMD,
+            complete: configuration.generateCompleteMD,
+            includeNavigation: configuration.includeNavigation,
+            includeTableOfContents: configuration.includeTableOfContents,
+            diagramFormat: formats.markdown
+        },
+        model: {
+            enabled: configuration.generateModel
+        },
+        lint: configuration.lintRules,
+        diagrams: {
+            local: configuration.generateLocalImages,
+            serverUrl: configuration.plantumlServerUrl,
+            fetch: configuration.fetchServerImages,
+            format: configuration.diagramFormat,
+            concurrency: configuration.diagramConcurrency,
+            links: configuration.diagramLinks,
+            linkSyntax: configuration.diagramLinkSyntax
+        }
+    });
+};
+
+/**
+ * checks the keys used by the wizard and the build with the schema of the config file
+ * missing required values are left to the wizard and --ci
+ * returns the path and message of every invalid value
+ */
+const validateConfiguration = configuration => {
+    let result = joi.validate(fromConfiguration(configuration), schema, { abortEarly: false });
+    if (!result.error)
+        return [];
+    return result.error.details
+        .filter(x => x.type !== 'any.required')
+        .map(x => ({ path: x.path.join('.'), message: x.message }));
+};
+
+module.exports = {
+    CONFIG_FILES,
+    DIAGRAM_FORMATS,
+    findConfigFile,
+    loadConfig,
+    toConfiguration,
+    fromConfiguration,
+    validateConfiguration
+};
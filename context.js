@@ -0,0 +1,260 @@
+const fs = require('fs');
+const path = require('path');
+const markdownpdf = require("markdown-pdf");
+const rimraf = require('rimraf');
+
+const {
+    encodeURIPath,
+    writeFile,
+    plantUmlServerUrl
+} = require('./utils.js');
+const {
+    renderLinks,
+    rewriteReferences
+} = require('./links');
+const { buildModel } = require('./model');
+
+/**
+ * images are written to the destination folder, either rendered locally or fetched from the plantuml server
+ */
+const hasImageFiles = options => !!(options.generateLocalImages || options.fetchServerImages);
+
+/**
+ * marks where a diagram is rendered inside the markdown of a folder
+ */
+const diagramPlaceholder = name => `<!-- c4builder-diagram:${name} -->`;
+const DIAGRAM_PLACEHOLDER = /<!-- c4builder-diagram:(.+?) -->/g;
+
+/**
+ * the source file a relative url of a markdown file points to, when it is an asset copied by the build
+ */
+const getAsset = (dir, url) => {
+    if (/^([a-z][a-z0-9+.-]*:|\/|#)/i.test(url))
+        return null;
+
+    let file = url.split(/[?#]/)[0];
+    try {
+        file = decodeURI(file);
+    } catch (err) { }
+
+    let source = path.join(dir, file);
+    let extension = path.extname(source).toLowerCase();
+    if (extension === '.md' || extension === '.puml' || !fs.existsSync(source) || !fs.statSync(source).isFile())
+        return null;
+    return file;
+};
+
+//the model of a tree is built once for all the plugins
+const models = new WeakMap();
+
+/**
+ * text of a markdown table cell, plantuml line breaks become spaces
+ */
+const tableCell = text => String(text === undefined ? '' : text)
+    .replace(/\\n|\r?\n/g, ' ')
+    .replace(/\|/g, '\\|');
+
+/**
+ * the rendering context shared by all the output plugins
+ */
+module.exports = (options) => {
+    const context = {
+        options: options,
+        logger: options.logger,
+        encodeURIPath: encodeURIPath,
+        //when false diagrams have to be referenced by getServerUrl
+        hasImageFiles: hasImageFiles(options),
+
+        /**
+         * name of a tree item in the sidebar and tables of contents, prefixed by its icon
+         */
+        getLabel: item => item.icon ? `${item.icon} ${item.name}` : item.name,
+
+        /**
+         * display names of the folders leading to a tree item, the same shape as getRelativeDir
+         */
+        getBreadcrumbs: (tree, item) => {
+            let names = [];
+            for (let current = item; current && current.dir !== options.rootFolder; current = tree.find(x => x.dir === current.parent))
+                names.unshift(current.name);
+            return `/${names.join('/')}`;
+        },
+
+        /**
+         * path of the folder relative to the root folder, used for breadcrumbs and dist paths
+         */
+        getRelativeDir: dir => dir.replace(options.rootFolder, ''),
+
+        /**
+         * path of a file inside the destination folder matching the source folder
+         */
+        getDistPath: (dir, file) => path.join(
+            options.distFolder,
+            dir.replace(options.rootFolder, ''),
+            file
+        ),
+
+        //image format used by the current output plugin
+        diagramFormat: options.diagramFormat || 'svg',
+
+        /**
+         * name of the image generated for a diagram, the linked source of a diagram has an image of its own
+         */
+        getImageName: (pumlFile, format, linked) => `${path.parse(pumlFile.dir).name}${linked ? '.linked' : ''}.${format || context.diagramFormat}`,
+
+        /**
+         * url of the diagram rendered by the plantuml server
+         */
+        getServerUrl: (pumlFile, format) => plantUmlServerUrl(options.plantumlServerUrl, format || context.diagramFormat, pumlFile.content),
+
+        /**
+         * the diagram as an image or as a link, depending on includeLinkToDiagram
+         */
+        getDiagramMarkdown: (pumlFile, diagramUrl) => {
+            if (!options.includeLinkToDiagram) //img
+                return `![${pumlFile.title || 'diagram'}](${diagramUrl})`;
+            //link
+            return `[Go to ${pumlFile.title || path.parse(pumlFile.dir).name} diagram](${diagramUrl})`;
+        },
+
+        /**
+         * concatenates the markdown files and the diagrams of a folder
+         * renderDiagram returns the markdown of a single diagram
+         * diagrams placed in the markdown are rendered in place, the others at the top or bottom
+         * getAssetUrl, when set, returns the url of an asset from its path relative to the folder
+         * it is needed by the outputs that are not written next to the copied assets
+         */
+        renderContent: (item, renderDiagram, getAssetUrl) => {
+            let MD = '';
+
+            //concatenate markdown files
+            const appendText = () => {
+                for (const mdFile of item.mdFiles) {
+                    MD += '\n\n';
+                    let text = !getAssetUrl ? mdFile : rewriteReferences(mdFile, url => {
+                        let asset = getAsset(item.dir, url);
+                        return asset ? getAssetUrl(asset) : url;
+                    });
+                    MD += text.replace(DIAGRAM_PLACEHOLDER, (placeholder, name) => {
+                        let pumlFile = item.pumlFiles.find(x => x.dir === name);
+                        return pumlFile ? renderDiagram(pumlFile) : '';
+                    });
+                }
+            };
+            //add diagrams
+            const appendImages = () => {
+                for (const pumlFile of item.pumlFiles.filter(x => !x.inline && !x.placed)) {
+                    MD += '\n\n';
+                    MD += renderDiagram(pumlFile);
+                }
+            };
+
+            if (options.diagramsOnTop) {
+                appendImages();
+                appendText();
+            } else {
+                appendText();
+                appendImages();
+            }
+
+            return MD;
+        },
+
+        /**
+         * the C4 model of the diagrams of the tree
+         */
+        getModel: tree => {
+            if (!models.has(tree))
+                models.set(tree, buildModel(tree));
+            return models.get(tree);
+        },
+
+        /**
+         * cross reference to the folder where an element is defined, rendered by renderLinks like the others
+         */
+        getElementLink: element => `[[/${path.relative(options.rootFolder, element.dir)}|${tableCell(element.label)}]]`,
+
+        /**
+         * table of the elements declared by the diagrams of a folder with their incoming and outgoing relationships
+         * the values are the ones of the diagrams of the folder, empty when the folder declares no element
+         */
+        renderCatalog: (tree, item, heading = '##') => {
+            let model = context.getModel(tree);
+            let folder = model.folders.find(x => x.dir === item.dir);
+            if (!options.includeCatalog || !folder || !folder.elements.length)
+                return '';
+
+            const local = x => Object.assign({}, x, x.definitions.find(y => y.dir === item.dir));
+            const getLabel = alias => {
+                let element = model.elements.find(x => x.alias === alias);
+                return element ? local(element).label : alias;
+            };
+            let relationships = folder.relationships.map(x => local(model.relationships.find(y => y.from === x.from && y.to === x.to)));
+            //the element at the other end followed by the label and technology of the relationship
+            const describe = (x, other) => `${getLabel(other)}${x.label ? `: ${x.label}` : ''}${x.technology ? ` (${x.technology})` : ''}`;
+
+            let MD = `\n\n${heading} Catalog\n\n| Element | Alias | Type | Technology | Description | Incoming | Outgoing |\n| --- | --- | --- | --- | --- | --- | --- |`;
+            for (const alias of folder.elements) {
+                let element = model.elements.find(x => x.alias === alias);
+                let values = local(element);
+                let incoming = relationships.filter(x => x.to === alias).map(x => tableCell(describe(x, x.from)));
+                let outgoing = relationships.filter(x => x.from === alias).map(x => tableCell(describe(x, x.to)));
+                MD += `\n| ${context.getElementLink(Object.assign({}, element, { label: values.label }))} | ${tableCell(alias)} | ${tableCell(values.macro)} | ${tableCell(values.technology)} | ${tableCell(values.description)} | ${incoming.join('<br>')} | ${outgoing.join('<br>')} |`;
+            }
+            return MD;
+        },
+
+        /**
+         * tables of every element and relationship of the project, each element links to the folder where it is defined
+         */
+        renderProjectCatalog: (tree, heading = '#') => {
+            let model = context.getModel(tree);
+            let MD = `${heading} Catalog`;
+
+            MD += `\n\n| Element | Alias | Type | Technology | Description |\n| --- | --- | --- | --- | --- |`;
+            for (const element of model.elements.filter(x => x.type !== 'Boundary'))
+                MD += `\n| ${context.getElementLink(element)} | ${tableCell(element.alias)} | ${tableCell(element.macro)} | ${tableCell(element.technology)} | ${tableCell(element.description)} |`;
+
+            const getElement = alias => model.elements.find(x => x.alias === alias);
+            const getLink = alias => getElement(alias) ? context.getElementLink(getElement(alias)) : tableCell(alias);
+            MD += `\n\n| From | To | Label | Technology |\n| --- | --- | --- | --- |`;
+            for (const relationship of model.relationships)
+                MD += `\n| ${getLink(relationship.from)} | ${getLink(relationship.to)} | ${tableCell(relationship.label)} | ${tableCell(relationship.technology)} |`;
+
+            return MD;
+        },
+
+        /**
+         * rewrites the [[folder]] cross references of a page
+         * getUrl returns the url of the target folder for the current output, or null to keep only the label
+         */
+        renderLinks: (tree, item, content, getUrl) => renderLinks(tree, item, content, options, getUrl),
+
+        writeFile: writeFile,
+
+        /**
+         * converts markdown into a pdf file through a temp file next to it
+         */
+        writePDF: async (file, MD) => {
+            let tempFile = path.join(path.dirname(file), `${path.parse(file).name}_TEMP.md`);
+            await writeFile(tempFile, MD);
+
+            let stream = fs.createWriteStream(file);
+            //pdf
+            fs.createReadStream(tempFile).pipe(markdownpdf({
+                paperFormat: 'A4',
+                cssPath: options.pdfCss
+            })).pipe(stream);
+            await new Promise(resolve => stream.on('finish', resolve));
+
+            //remove temp file
+            rimraf.sync(tempFile);
+        }
+    };
+
+    return context;
+};
+
+module.exports.hasImageFiles = hasImageFiles;
+module.exports.diagramPlaceholder = diagramPlaceholder;
+module.exports.DIAGRAM_PLACEHOLDER = DIAGRAM_PLACEHOLDER;
@@ -9,7 +9,7 @@
 //     },
 //     stylesheet: ''
 //   }
-module.exports = options => {
+module.exports = (options, scripts) => {
   return `<!DOCTYPE html>
     <html lang="en">
     
@@ -28,8 +28,7 @@ module.exports = options => {
       <script>
         window.$docsify = ${JSON.stringify(options, null, 2)};
       </script>
-      <script src="//unpkg.com/docsify/lib/docsify.min.js"></script>
-      <script src="//unpkg.com/docsify-plantuml/dist/docsify-plantuml.min.js"></script>
+      ${scripts.map(x => `<script src="${x}"></script>`).join('\n      ')}
     </body>
     
     </html>`;
@@ -0,0 +1,88 @@
+const path = require('path');
+const {
+    parseDiagram,
+    buildModel,
+    getDrillDown
+} = require('./model');
+const { resolveLink } = require('./links');
+
+/**
+ * the folder zooming into an element, found from any of its declarations
+ */
+const getTarget = (tree, element) => {
+    for (const definition of element.definitions) {
+        let target = getDrillDown(tree, definition.dir, definition);
+        if (target)
+            return target;
+    }
+};
+
+/**
+ * the content with the urls added to the declarations at its lines, links maps the line to its url
+ * url appends a [[url]] hyperlink, $link passes it to the C4-PlantUML macro
+ * the svg links open in the page instead of the svg
+ */
+const addLinks = (pumlFile, links, syntax) => {
+    let lines = pumlFile.content.split('\n');
+    for (const index of Object.keys(links)) {
+        let url = links[index];
+        lines[index] = syntax === '$link' ?
+            lines[index].replace(/\)(\s*\{?\s*)$/, (match, end) => `, $link="${url}")${end}`) :
+            lines[index].replace(/(\s*\{?\s*)$/, end => ` [[${url}]]${end}`);
+    }
+
+    let start = lines.findIndex(x => /^\s*@startuml/.test(x));
+    lines.splice(start + 1, 0, 'skinparam svgLinkTarget _top');
+    return lines.join('\n');
+};
+
+/**
+ * links the elements of the diagrams to the folder zooming into them or to the cross reference
+ * given for their alias in the links of the front matter, elements of the current folder are not linked
+ * the linked source is kept in linkedContent, the content used by the other outputs is left unchanged
+ * getUrl(item, target) is the url of the target folder from a diagram of the item
+ * returns the links of the front matter that point nowhere as warnings
+ */
+const linkDiagrams = (tree, options, getUrl) => {
+    let model = buildModel(tree);
+    let warnings = [];
+
+    for (const item of tree) {
+        for (const pumlFile of item.pumlFiles) {
+            let file = path.join(item.dir, pumlFile.source || pumlFile.dir);
+            let diagram = parseDiagram(pumlFile);
+            let lines = pumlFile.content.split('\n');
+            let mapped = pumlFile.links || {};
+            let links = {};
+
+            for (const alias of Object.keys(mapped)) {
+                //the links of a markdown file are shared by all of its diagrams
+                if (!pumlFile.inline && !diagram.elements.find(x => x.alias === alias))
+                    warnings.push({ file: file, line: pumlFile.line, message: `linked element ${alias} is not declared in ${pumlFile.dir}` });
+                else if (!resolveLink(tree, item, mapped[alias], options))
+                    warnings.push({ file: file, line: pumlFile.line, message: `broken diagram link ${alias}: ${mapped[alias]}` });
+            }
+
+            for (const element of diagram.elements) {
+                //the declarations with a link of their own are kept
+                if (lines[element.index].includes('[[') || element.link !== undefined)
+                    continue;
+
+                let target = mapped[element.alias] ?
+                    resolveLink(tree, item, mapped[element.alias], options) :
+                    getTarget(tree, model.elements.find(x => x.alias === element.alias));
+                if (target && target.dir !== item.dir)
+                    links[element.index] = getUrl(item, target);
+            }
+
+            if (Object.keys(links).length)
+                pumlFile.linkedContent = addLinks(pumlFile, links, options.diagramLinkSyntax);
+        }
+    }
+
+    return warnings;
+};
+
+module.exports = {
+    linkDiagrams
+};
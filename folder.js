@@ -0,0 +1,50 @@
+const joi = require('joi');
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+
+const FOLDER_FILES = ['_folder.yaml', '_folder.yml', '.c4folder.json'];
+
+const schema = joi.object({
+    name: joi.string().trim(),
+    order: joi.number(),
+    icon: joi.string().trim(),
+    description: joi.string().trim(),
+    hidden: joi.boolean().default(false),
+    children: joi.array().items(joi.string()).default([])
+});
+
+/**
+ * reads and validates the optional metadata file of a folder
+ * returns the defaults when the folder has none
+ */
+const readFolderMetadata = dir => {
+    let file = FOLDER_FILES
+        .map(x => path.join(dir, x))
+        .find(x => fs.existsSync(x));
+
+    let metadata = {};
+    if (file) {
+        try {
+            if (path.extname(file) === '.json')
+                metadata = JSON.parse(fs.readFileSync(file, 'utf8'));
+            else
+                metadata = yaml.safeLoad(fs.readFileSync(file, 'utf8'));
+        } catch (err) {
+            throw new Error(`invalid folder metadata in ${file}\n  ${err.message.split('\n')[0]}`);
+        }
+    }
+
+    let result = joi.validate(metadata || {}, schema, { abortEarly: false });
+    if (result.error) {
+        let details = result.error.details.map(x => `  ${x.path.join('.') || 'folder'}: ${x.message}`);
+        throw new Error(`invalid folder metadata in ${file}\n${details.join('\n')}`);
+    }
+
+    return result.value;
+};
+
+module.exports = {
+    FOLDER_FILES,
+    readFolderMetadata
+};
@@ -0,0 +1,65 @@
+const joi = require('joi');
+const yaml = require('js-yaml');
+
+const schema = joi.object({
+    title: joi.string().trim(),
+    order: joi.number(),
+    draft: joi.boolean().default(false),
+    tags: joi.array().items(joi.string()).single().default([]),
+    owner: joi.string().trim(),
+    //drill-down links of the diagrams by element alias, the targets are cross references
+    links: joi.object().pattern(/^/, joi.string().trim())
+}).unknown();
+
+/**
+ * splits the yaml front matter delimited by --- lines from the start of a .md or .puml file
+ * line is the line of the file where the remaining content starts
+ * throws an error naming the file when the yaml or one of the known keys is invalid
+ */
+const parseFrontMatter = (content, file) => {
+    let match = content.match(/^---\r?\n([\s\S]*?)\r?\n---[ \t]*(\r?\n|$)/);
+    let data = {};
+    let line = 1;
+    if (match) {
+        line += match[0].split('\n').length - 1;
+        try {
+            data = yaml.safeLoad(match[1]) || {};
+        } catch (err) {
+            throw new Error(`invalid front matter in ${file}\n  ${err.message.split('\n')[0]}`);
+        }
+        content = content.slice(match[0].length);
+    }
+
+    let result = joi.validate(data, schema, { abortEarly: false });
+    if (result.error) {
+        let details = result.error.details.map(x => `  ${x.path.join('.') || 'front matter'}: ${x.message}`);
+        throw new Error(`invalid front matter in ${file}\n${details.join('\n')}`);
+    }
+
+    return {
+        data: result.value,
+        content: content,
+        line: line
+    };
+};
+
+/**
+ * sorts by the order from the front matter, entries without one keep their position after the ordered ones
+ */
+const sortByOrder = (list, getOrder) => list
+    .map((x, i) => ({ x, i, order: getOrder(x) }))
+    .sort((a, b) => {
+        if (a.order !== undefined && b.order !== undefined && a.order !== b.order)
+            return a.order - b.order;
+        if (a.order !== undefined && b.order === undefined)
+            return -1;
+        if (a.order === undefined && b.order !== undefined)
+            return 1;
+        return a.i - b.i;
+    })
+    .map(x => x.x);
+
+module.exports = {
+    parseFrontMatter,
+    sortByOrder
+};
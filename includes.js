@@ -0,0 +1,101 @@
+const fs = require('fs');
+const path = require('path');
+const { getVendoredInclude } = require('./vendor');
+
+const INCLUDE = /^\s*!include(url|sub|_once|_many)?\s+(.+?)\s*$/;
+//remote and standard library includes are resolved by plantuml itself
+const REMOTE = /^(https?:\/\/|<)/;
+
+/**
+ * the lines of an included file that plantuml would include
+ * part is the !startsub name for !includesub, or the index or id of the diagram for !include
+ */
+const selectLines = (lines, kind, part) => {
+    if (kind === 'sub') {
+        let start = lines.findIndex(x => new RegExp(`^\\s*!startsub\\s+${part}\\s*$`).test(x.text));
+        let end = lines.findIndex((x, i) => i > start && /^\s*!endsub\b/.test(x.text));
+        return start === -1 ? [] : lines.slice(start + 1, end === -1 ? lines.length : end);
+    }
+
+    //files with several diagrams are included by index or id, the first one by default
+    let diagrams = [];
+    lines.forEach((x, i) => {
+        let start = x.text.match(/^\s*@start\w+(?:\(id=([^)]+)\))?/);
+        if (start)
+            diagrams.push({ start: i, id: start[1] });
+        else if (/^\s*@end\w+/.test(x.text) && diagrams.length && diagrams[diagrams.length - 1].end === undefined)
+            diagrams[diagrams.length - 1].end = i;
+    });
+    if (!diagrams.length)
+        return lines;
+
+    let diagram = part === undefined ? diagrams[0] :
+        /^\d+$/.test(part) ? diagrams[parseInt(part)] : diagrams.find(x => x.id === part);
+    if (!diagram)
+        return [];
+    return lines.slice(diagram.start + 1, diagram.end === undefined ? lines.length : diagram.end);
+};
+
+/**
+ * inlines the local !include, !includeurl and !includesub files of a diagram, relative to the diagram file
+ * offline, the remote C4-PlantUML includes are inlined from the copy shipped with the package
+ * returns the resolved content, the absolute paths of the included files
+ * and for every line of the content the file and line it comes from
+ */
+const resolveIncludes = (file, content, line = 1, offline = false) => {
+    let output = [];
+    let dependencies = [];
+
+    const resolve = (file, lines, stack) => {
+        for (const current of lines) {
+            let match = current.text.match(INCLUDE);
+            let target = match && match[2].replace(/^"(.*)"$/, '$1');
+            if (match && offline && getVendoredInclude(target))
+                target = getVendoredInclude(target);
+            if (!match || REMOTE.test(target)) {
+                output.push({ text: current.text, file: file, line: current.line });
+                continue;
+            }
+
+            let separator = target.lastIndexOf('!');
+            let part = separator > 0 ? target.slice(separator + 1) : undefined;
+            let includedFile = path.resolve(path.dirname(file), separator > 0 ? target.slice(0, separator) : target);
+            //missing files are left for plantuml to report, include cycles are included once
+            if (!fs.existsSync(includedFile) || stack.includes(includedFile)) {
+                output.push({ text: current.text, file: file, line: current.line });
+                continue;
+            }
+            if (match[1] === '_once' && dependencies.includes(includedFile))
+                continue;
+            if (!dependencies.includes(includedFile))
+                dependencies.push(includedFile);
+
+            let includedLines = fs.readFileSync(includedFile, 'utf8')
+                .split(/\r?\n/)
+                .map((text, i) => ({ text: text, line: i + 1 }));
+            resolve(includedFile, selectLines(includedLines, match[1], part), stack.concat(includedFile));
+        }
+    };
+    resolve(path.resolve(file), content.split(/\r?\n/).map((text, i) => ({ text: text, line: line + i })), [path.resolve(file)]);
+
+    return {
+        content: output.map(x => x.text).join('\n'),
+        dependencies: dependencies,
+        origins: output.map(x => ({ file: path.relative(process.cwd(), x.file), line: x.line }))
+    };
+};
+
+/**
+ * the folders of the tree with a diagram including the file, directly or through other includes
+ */
+const getDependents = (tree, file) => {
+    file = path.resolve(file);
+    return tree
+        .filter(item => item.pumlFiles.find(x => (x.dependencies || []).includes(file)))
+        .map(item => item.dir);
+};
+
+module.exports = {
+    resolveIncludes,
+    getDependents
+};
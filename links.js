@@ -0,0 +1,153 @@
+const fs = require('fs');
+const path = require('path');
+
+//[[target]] or [[target|label]], ![[file.puml]] places a diagram instead
+const LINK = /(?<!!)\[\[([^\]|\n]+?)(?:\|([^\]\n]+?))?\]\]/g;
+const DIAGRAM = /!\[\[([^\]\n]+)\]\]/g;
+//links inside code are left as they are, plantuml uses the same syntax for its own links
+const CODE = /(```[\s\S]*?```|`[^`\n]*`)/;
+
+/**
+ * finds the tree item a link points to
+ * targets starting with ./ or ../ are relative to the folder of the page, the rest to the root folder
+ * a path to a markdown file points to its folder
+ */
+const resolveLink = (tree, item, target, options) => {
+    target = target.trim();
+    if (path.extname(target).toLowerCase() === '.md')
+        target = path.dirname(target);
+
+    let dir = /^\.\.?(\/|$)/.test(target) ?
+        path.join(item.dir, target) :
+        path.join(options.rootFolder, target);
+
+    dir = path.normalize(dir).replace(/[\\/]+$/, '');
+    return tree.find(x => path.normalize(x.dir) === dir);
+};
+
+/**
+ * calls replace for every link outside of code and uses its result instead of the link
+ */
+const replaceLinks = (content, replace) => content
+    .split(CODE)
+    .map((part, i) => i % 2 ? part : part.replace(LINK, (link, target, label) => replace(target, label)))
+    .join('');
+
+/**
+ * rewrites the links of a page, getUrl returns the url of the target item for the current output
+ * a link without a target is replaced by its label
+ */
+const renderLinks = (tree, item, content, options, getUrl) => replaceLinks(content, (target, label) => {
+    let targetItem = resolveLink(tree, item, target, options);
+    if (!targetItem)
+        return label || target;
+
+    let url = getUrl(targetItem);
+    label = label || targetItem.name;
+    return url ? `[${label}](${url})` : label;
+});
+
+/**
+ * line of the file at a position of the markdown content, the front matter is not part of the content
+ */
+const getLine = (mdFile, index) => mdFile.line + mdFile.content.slice(0, index).split('\n').length - 1;
+
+/**
+ * calls found with every match of the regex outside of code and its line in the markdown file
+ */
+const findAll = (mdFile, regex, found) => {
+    let offset = 0;
+    mdFile.content.split(CODE).forEach((part, i) => {
+        let match;
+        let matches = new RegExp(regex.source, regex.flags);
+        while (i % 2 === 0 && (match = matches.exec(part)))
+            found(match, getLine(mdFile, offset + match.index));
+        offset += part.length;
+    });
+};
+
+/**
+ * lists the links of every markdown file whose target does not exist
+ * and the ![[file.puml]] directives without a diagram in the folder, with the file and line
+ */
+const checkLinks = (tree, options) => {
+    let warnings = [];
+    for (const item of tree) {
+        for (const mdFile of item.markdownFiles) {
+            findAll(mdFile, LINK, (match, line) => {
+                if (!resolveLink(tree, item, match[1], options))
+                    warnings.push({ file: path.join(item.dir, mdFile.dir), line: line, message: `broken link [[${match[1]}]]` });
+            });
+            findAll(mdFile, DIAGRAM, (match, line) => {
+                if (!item.pumlFiles.find(x => !x.inline && x.dir === match[1].trim()))
+                    warnings.push({ file: path.join(item.dir, mdFile.dir), line: line, message: `missing diagram ![[${match[1]}]]` });
+            });
+        }
+    }
+    return warnings;
+};
+
+//markdown links and images, html links and images
+//the text before the url is captured as well, the markdown url is the second group and the html url the fourth
+const REFERENCE = /(!?\[[^\]\n]*\]\(\s*<?)([^)\s>]+)>?(?:\s+"[^"]*")?\s*\)|(<(?:img|a)\s[^>]*?(?:src|href)=["'])([^"']+)["']/gi;
+//urls with a scheme, protocol relative, absolute and anchors are not checked
+const EXTERNAL = /^([a-z][a-z0-9+.-]*:|\/|#)/i;
+const IMAGE_FORMATS = ['.svg', '.png', '.pdf', '.eps'];
+
+/**
+ * lists the relative links and images of every markdown file whose file does not exist in the source folder
+ * images named after a diagram of the folder are generated by the build and count as existing
+ */
+const checkReferences = (tree) => {
+    let errors = [];
+    for (const item of tree) {
+        for (const mdFile of item.markdownFiles) {
+            findAll(mdFile, REFERENCE, (match, line) => {
+                let url = match[2] || match[4];
+                if (EXTERNAL.test(url))
+                    return;
+
+                let file;
+                try {
+                    file = path.join(item.dir, decodeURI(url.split(/[?#]/)[0]));
+                } catch (err) {
+                    file = path.join(item.dir, url.split(/[?#]/)[0]);
+                }
+                //images of the diagrams are generated by the build
+                let parsed = path.parse(file);
+                let diagram = IMAGE_FORMATS.includes(parsed.ext.toLowerCase()) &&
+                    fs.existsSync(path.join(parsed.dir, `${parsed.name}.puml`));
+                if (!fs.existsSync(file) && !diagram) {
+                    errors.push({
+                        file: path.join(item.dir, mdFile.dir),
+                        line: line,
+                        message: `${match[0].charAt(0) === '!' || /^<img/i.test(match[0]) ? 'missing image' : 'broken link'} ${url}`
+                    });
+                }
+            });
+        }
+    }
+    return errors;
+};
+
+/**
+ * calls rewrite with the url of every markdown or html link and image outside of code
+ * and uses its result instead of the url
+ */
+const rewriteReferences = (content, rewrite) => content
+    .split(CODE)
+    .map((part, i) => i % 2 ? part : part.replace(new RegExp(REFERENCE.source, 'gi'), (reference, markdownStart, markdownUrl, htmlStart, htmlUrl) => {
+        //the label can contain the url as well, only the url after it is rewritten
+        let start = markdownStart || htmlStart;
+        let url = markdownUrl || htmlUrl;
+        return start + rewrite(url) + reference.slice(start.length + url.length);
+    }))
+    .join('');
+
+module.exports = {
+    resolveLink,
+    renderLinks,
+    checkLinks,
+    checkReferences,
+    rewriteReferences
+};
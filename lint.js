@@ -0,0 +1,124 @@
+const path = require('path');
+const { getDrillDown } = require('./model');
+
+const SEVERITIES = ['error', 'warning', 'off'];
+//the default severity of every rule
+const RULES = {
+    'inconsistent-element': 'warning',
+    'missing-drill-down': 'warning',
+    'missing-relationship': 'warning',
+    'contradicting-relationship': 'error'
+};
+
+/**
+ * the folders above a folder, the closest first
+ */
+const getAncestors = (tree, item) => {
+    let ancestors = [];
+    for (let current = tree.find(x => x.dir === item.parent); current; current = tree.find(x => x.dir === current.parent))
+        ancestors.push(current);
+    return ancestors;
+};
+
+/**
+ * both values are set and they are not the same
+ */
+const differs = (a, b) => ![a, b].some(x => x === undefined || x === '') && a !== b;
+
+const rules = {
+    //the same alias with another label or technology in another diagram
+    //a boundary drawing the inside of an element is compared with the other boundaries only
+    'inconsistent-element': (tree, model) => {
+        let problems = [];
+        for (const element of model.elements) {
+            for (const definition of element.definitions) {
+                let first = element.definitions.find(x => x.type === definition.type);
+                if (first === definition)
+                    continue;
+                for (const key of ['label', 'technology']) {
+                    if (differs(definition[key], first[key]))
+                        problems.push({
+                            file: definition.file,
+                            line: definition.line,
+                            message: `${element.alias} has the ${key} "${definition[key]}" but "${first[key]}" in ${first.file}:${first.line}`
+                        });
+                }
+            }
+        }
+        return problems;
+    },
+
+    //systems and containers of the project without a child folder describing them, where they are first declared
+    'missing-drill-down': (tree, model) => model.elements
+        .filter(x => ['System', 'Container'].includes(x.type) && !x.external && !/(Db|Queue)$/.test(x.macro))
+        .filter(x => !getDrillDown(tree, x.dir, x))
+        .map(x => ({
+            file: x.definitions[0].file,
+            line: x.definitions[0].line,
+            message: `${x.type.toLowerCase()} ${x.alias} has no drill-down folder ${path.join(x.dir, x.label)}`
+        })),
+
+    //relationships between elements of a higher level diagram that it does not show
+    'missing-relationship': (tree, model) => {
+        let problems = [];
+        const shows = (folder, from, to) => folder.relationships.find(x => x.from === from && x.to === to) ||
+            model.relationships.find(x => x.from === to && x.to === from && x.definitions.find(y => y.dir === folder.dir && /^BiRel/.test(y.macro)));
+
+        for (const relationship of model.relationships) {
+            for (const definition of relationship.definitions) {
+                let item = tree.find(x => x.dir === definition.dir);
+                for (const ancestor of getAncestors(tree, item)) {
+                    let folder = model.folders.find(x => x.dir === ancestor.dir);
+                    if (folder.elements.includes(relationship.from) && folder.elements.includes(relationship.to) && !shows(folder, relationship.from, relationship.to))
+                        problems.push({
+                            file: definition.file,
+                            line: definition.line,
+                            message: `${relationship.from} -> ${relationship.to} is not shown in ${ancestor.dir}, which declares both elements`
+                        });
+                }
+            }
+        }
+        return problems;
+    },
+
+    //the same relationship with another label or technology in another diagram
+    'contradicting-relationship': (tree, model) => {
+        let problems = [];
+        for (const relationship of model.relationships) {
+            let first = relationship.definitions[0];
+            for (const definition of relationship.definitions.slice(1)) {
+                for (const key of ['label', 'technology']) {
+                    if (differs(definition[key], first[key]))
+                        problems.push({
+                            file: definition.file,
+                            line: definition.line,
+                            message: `${relationship.from} -> ${relationship.to} has the ${key} "${definition[key]}" but "${first[key]}" in ${first.file}:${first.line}`
+                        });
+                }
+            }
+        }
+        return problems;
+    }
+};
+
+/**
+ * checks that the diagrams of the different levels agree with each other
+ * severities overrides the default severity of the rules, the rules set to off are skipped
+ * returns the problems with their rule, severity, file and line
+ */
+const lint = (tree, model, severities) => {
+    let problems = [];
+    for (const rule of Object.keys(rules)) {
+        let severity = (severities || {})[rule] || RULES[rule];
+        if (severity === 'off')
+            continue;
+        problems.push(...rules[rule](tree, model).map(x => Object.assign({ rule: rule, severity: severity }, x)));
+    }
+    return problems;
+};
+
+module.exports = {
+    SEVERITIES,
+    RULES,
+    lint
+};
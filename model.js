@@ -0,0 +1,237 @@
+const path = require('path');
+
+//C4-PlantUML macros by element type, the _Ext variants are external elements
+const ELEMENTS = {
+    Person: ['Person', 'Person_Ext'],
+    System: ['System', 'System_Ext', 'SystemDb', 'SystemDb_Ext', 'SystemQueue', 'SystemQueue_Ext'],
+    Container: ['Container', 'Container_Ext', 'ContainerDb', 'ContainerDb_Ext', 'ContainerQueue', 'ContainerQueue_Ext'],
+    Component: ['Component', 'Component_Ext', 'ComponentDb', 'ComponentDb_Ext', 'ComponentQueue', 'ComponentQueue_Ext'],
+    Boundary: ['Boundary', 'Enterprise_Boundary', 'System_Boundary', 'Container_Boundary']
+};
+//the arguments after the alias and label, persons and systems have no technology
+const ARGUMENTS = {
+    Person: ['description'],
+    System: ['description'],
+    Container: ['technology', 'description'],
+    Component: ['technology', 'description'],
+    Boundary: ['type']
+};
+const RELATIONSHIPS = ['Rel', 'BiRel', 'Rel_Back', 'Rel_Neighbor', 'Rel_Back_Neighbor',
+    'Rel_U', 'Rel_Up', 'Rel_D', 'Rel_Down', 'Rel_L', 'Rel_Left', 'Rel_R', 'Rel_Right',
+    'BiRel_U', 'BiRel_Up', 'BiRel_D', 'BiRel_Down', 'BiRel_L', 'BiRel_Left', 'BiRel_R', 'BiRel_Right'];
+
+const MACROS = {};
+for (const type of Object.keys(ELEMENTS)) {
+    for (const macro of ELEMENTS[type])
+        MACROS[macro] = type;
+}
+//a declaration can end with a [[url]] hyperlink
+const CALL = /^\s*([A-Za-z_]+)\s*\((.*)\)\s*(?:\[\[[^\]]*\]\]\s*)?(\{)?\s*$/;
+
+/**
+ * splits the arguments of a macro call on the commas outside of quotes and parentheses
+ * $name=value arguments are returned by name, quotes are removed
+ */
+const parseArguments = text => {
+    let values = [];
+    let current = '';
+    let quoted = false;
+    let depth = 0;
+    for (const char of text) {
+        if (char === '"')
+            quoted = !quoted;
+        else if (!quoted && char === '(')
+            depth++;
+        else if (!quoted && char === ')')
+            depth--;
+        if (char === ',' && !quoted && !depth) {
+            values.push(current);
+            current = '';
+        } else
+            current += char;
+    }
+    values.push(current);
+
+    let positional = [];
+    let named = {};
+    for (const value of values.map(x => x.trim())) {
+        let match = value.match(/^\$(\w+)\s*=\s*([\s\S]*)$/);
+        let unquoted = (match ? match[2] : value).replace(/^"([\s\S]*)"$/, '$1');
+        if (match)
+            named[match[1]] = unquoted;
+        else
+            positional.push(unquoted);
+    }
+    return { positional, named };
+};
+
+/**
+ * the elements and relationships declared in a diagram with the file and line of each declaration
+ * index is the line of the content declaring an element
+ * the bodies of procedures and functions, like the ones of the C4-PlantUML library, are skipped
+ */
+const parseDiagram = pumlFile => {
+    let elements = [];
+    let relationships = [];
+    let boundaries = [];
+    //a boundary can open its block on the next line
+    let pending;
+    let skip = false;
+    let comment = false;
+
+    pumlFile.content.split('\n').forEach((text, i) => {
+        let origin = (pumlFile.origins || [])[i] || { file: pumlFile.dir, line: pumlFile.line + i };
+        text = text.trim();
+
+        if (comment) {
+            comment = !text.includes("'/");
+            return;
+        }
+        if (text.startsWith("/'")) {
+            comment = !text.includes("'/", 2);
+            return;
+        }
+        if (/^!(unquoted\s+)?(procedure|function)\b/.test(text)) {
+            skip = true;
+            return;
+        }
+        if (/^!end(procedure|function)\b/.test(text)) {
+            skip = false;
+            return;
+        }
+        if (skip || !text || text.startsWith("'") || text.startsWith('!'))
+            return;
+        let opened = pending;
+        pending = undefined;
+        if (text === '{') {
+            if (opened)
+                boundaries.push(opened);
+            return;
+        }
+        if (text === '}') {
+            boundaries.pop();
+            return;
+        }
+
+        let match = text.match(CALL);
+        if (!match)
+            return;
+        let macro = match[1];
+        let args = parseArguments(match[2]);
+        let parent = boundaries[boundaries.length - 1];
+
+        if (MACROS[macro] && args.positional[0]) {
+            let type = MACROS[macro];
+            let element = {
+                alias: args.positional[0],
+                type: type,
+                macro: macro,
+                label: args.positional[1] || args.positional[0],
+                external: /_Ext$/.test(macro),
+                parent: parent,
+                file: origin.file,
+                line: origin.line,
+                index: i
+            };
+            ARGUMENTS[type].forEach((name, index) => {
+                if (args.positional[index + 2] !== undefined)
+                    element[name] = args.positional[index + 2];
+            });
+            for (const name of ['techn', 'descr', 'tags', 'link', 'sprite']) {
+                if (args.named[name] !== undefined)
+                    element[{ techn: 'technology', descr: 'description' }[name] || name] = args.named[name];
+            }
+            elements.push(element);
+
+            if (type === 'Boundary' && match[3])
+                boundaries.push(element.alias);
+            else if (type === 'Boundary')
+                pending = element.alias;
+        } else if (RELATIONSHIPS.includes(macro) && args.positional.length >= 2) {
+            let relationship = {
+                from: args.positional[0],
+                to: args.positional[1],
+                macro: macro,
+                label: args.positional[2] || '',
+                file: origin.file,
+                line: origin.line
+            };
+            if (args.positional[3] !== undefined || args.named.techn !== undefined)
+                relationship.technology = args.positional[3] !== undefined ? args.positional[3] : args.named.techn;
+            relationships.push(relationship);
+        }
+    });
+
+    return { elements, relationships };
+};
+
+/**
+ * the unified model of the tree
+ * elements are merged by alias and relationships by source and destination, each keeps every declaration
+ * with its folder, diagram, file and line, the first declaration in tree order gives the values
+ * folders lists the aliases of the elements and relationships declared by the diagrams of each folder
+ */
+const buildModel = tree => {
+    let elements = [];
+    let relationships = [];
+    let folders = [];
+
+    //the values of a declaration that were set, with the folder and diagram declaring it
+    const declaration = (item, pumlFile, x, keys) => {
+        let result = { dir: item.dir, diagram: pumlFile.dir };
+        for (const key of keys.filter(key => x[key] !== undefined))
+            result[key] = x[key];
+        return result;
+    };
+
+    for (const item of tree) {
+        let folder = { dir: item.dir, name: item.name, elements: [], relationships: [] };
+        folders.push(folder);
+
+        for (const pumlFile of item.pumlFiles) {
+            let diagram = parseDiagram(pumlFile);
+
+            for (const x of diagram.elements) {
+                let element = elements.find(y => y.alias === x.alias);
+                if (!element) {
+                    element = declaration(item, pumlFile, x, ['alias', 'type', 'macro', 'label', 'technology', 'description', 'external', 'parent', 'tags', 'link', 'sprite']);
+                    delete element.diagram;
+                    element.definitions = [];
+                    elements.push(element);
+                }
+                element.definitions.push(declaration(item, pumlFile, x, ['file', 'line', 'macro', 'type', 'label', 'technology', 'description', 'parent']));
+                if (!folder.elements.includes(x.alias))
+                    folder.elements.push(x.alias);
+            }
+
+            for (const x of diagram.relationships) {
+                let relationship = relationships.find(y => y.from === x.from && y.to === x.to);
+                if (!relationship) {
+                    relationship = declaration(item, pumlFile, x, ['from', 'to', 'label', 'technology']);
+                    delete relationship.diagram;
+                    relationship.definitions = [];
+                    relationships.push(relationship);
+                }
+                relationship.definitions.push(declaration(item, pumlFile, x, ['file', 'line', 'macro', 'label', 'technology']));
+                if (!folder.relationships.find(y => y.from === x.from && y.to === x.to))
+                    folder.relationships.push({ from: x.from, to: x.to });
+            }
+        }
+    }
+
+    return { elements, relationships, folders };
+};
+
+/**
+ * the child folder of a folder zooming into an element, named after its label
+ */
+const getDrillDown = (tree, dir, element) => tree.find(x => x.parent === dir &&
+    [x.name, path.basename(x.dir)].some(name => name.toLowerCase() === element.label.toLowerCase()));
+
+module.exports = {
+    ELEMENTS,
+    RELATIONSHIPS,
+    parseDiagram,
+    buildModel,
+    getDrillDown
+};
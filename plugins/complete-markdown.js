@@ -0,0 +1,68 @@
+const path = require('path');
+
+/**
+ * a single markdown file with every folder, placed in the root of the destination folder
+ */
+module.exports = {
+    name: 'complete-markdown',
+    description: 'complete markdown file',
+    enabled: options => options.generateCompleteMD,
+    complete: true,
+    generate: async (tree, context) => {
+        const options = context.options;
+        const { encodeURIPath } = context;
+
+        //title
+        let MD = `# ${options.projectName}`;
+        //table of contents
+        let tableOfContents = '';
+        for (const item of tree)
+            tableOfContents += `${'  '.repeat(item.level - 1)}* [${context.getLabel(item)}](#${encodeURIPath(item.name).replace(/%20/g, '-')})\n`;
+        if (options.includeCatalog)
+            tableOfContents += `* [Catalog](#Catalog)\n`;
+        MD += `\n\n${tableOfContents}\n---`;
+
+        for (const item of tree) {
+            //title
+            MD += `\n\n## ${item.name}`;
+            if (item.dir !== options.rootFolder) {
+                if (options.includeBreadcrumbs)
+                    MD += `\n\n\`${context.getBreadcrumbs(tree, item)}\``;
+                MD += `\n\n[${options.homepageName}](#${encodeURIPath(options.projectName).replace(/%20/g, '-')})`;
+            }
+            if (item.description)
+                MD += `\n\n_${item.description}_`;
+
+            //assets are copied next to the folder pages, the complete file is in the root
+            let content = context.renderContent(item, pumlFile => {
+                let diagramUrl = encodeURIPath(path.join(
+                    '.',
+                    context.getRelativeDir(item.dir),
+                    context.getImageName(pumlFile)
+                ));
+                if (!context.hasImageFiles)
+                    diagramUrl = context.getServerUrl(pumlFile);
+
+                return context.getDiagramMarkdown(pumlFile, diagramUrl);
+            }, file => encodeURIPath(path.join('.', context.getRelativeDir(item.dir), file)));
+            content += context.renderCatalog(tree, item, '###');
+            //cross references point to the section of the folder
+            MD += context.renderLinks(tree, item, content, target => `#${encodeURIPath(target.name).replace(/%20/g, '-')}`);
+        }
+
+        //every element of the project, linked to the section of its folder
+        if (options.includeCatalog) {
+            let root = tree.find(x => x.dir === options.rootFolder);
+            MD += `\n\n${context.renderLinks(tree, root, context.renderProjectCatalog(tree, '##'), target => `#${encodeURIPath(target.name).replace(/%20/g, '-')}`)}`;
+        }
+
+        //write file to disk
+        let file = path.join(
+            options.distFolder,
+            `${options.projectName}.md`
+        );
+        await context.writeFile(file, MD);
+
+        return [file];
+    }
+};
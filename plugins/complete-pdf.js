@@ -0,0 +1,64 @@
+const path = require('path');
+
+/**
+ * a single pdf file with every folder, placed in the root of the destination folder
+ */
+module.exports = {
+    name: 'complete-pdf',
+    description: 'complete pdf file',
+    enabled: options => options.generateCompletePDF,
+    complete: true,
+    diagramFormat: 'png',
+    generate: async (tree, context) => {
+        const options = context.options;
+        const { encodeURIPath } = context;
+
+        //title
+        let MD = `# ${options.projectName}`;
+        //table of contents
+        let tableOfContents = '';
+        for (const item of tree)
+            tableOfContents += `${'  '.repeat(item.level - 1)}* ${context.getLabel(item)}\n`;
+        if (options.includeCatalog)
+            tableOfContents += `* Catalog\n`;
+        MD += `\n\n${tableOfContents}\n---`;
+
+        for (const item of tree) {
+            //title
+            MD += `\n\n## ${item.name}`;
+            //bradcrumbs
+            if (item.dir !== options.rootFolder) {
+                if (options.includeBreadcrumbs)
+                    MD += `\n\n\`${context.getBreadcrumbs(tree, item)}\``;
+            }
+            if (item.description)
+                MD += `\n\n_${item.description}_`;
+
+            //the pdf renderer needs absolute paths for the copied assets
+            let content = context.renderContent(item, pumlFile => {
+                let diagramUrl = encodeURIPath(context.getDistPath(item.dir, context.getImageName(pumlFile)));
+                if (!context.hasImageFiles)
+                    diagramUrl = context.getServerUrl(pumlFile);
+
+                return `![diagram](${diagramUrl})`;
+            }, file => encodeURIPath(path.resolve(context.getDistPath(item.dir, file))));
+            content += context.renderCatalog(tree, item, '###');
+            //the complete pdf has no anchors, cross references keep only their label
+            MD += context.renderLinks(tree, item, content, target => null);
+        }
+
+        //every element of the project
+        if (options.includeCatalog) {
+            let root = tree.find(x => x.dir === options.rootFolder);
+            MD += `\n\n${context.renderLinks(tree, root, context.renderProjectCatalog(tree, '##'), target => null)}`;
+        }
+
+        let file = path.join(
+            options.distFolder,
+            `${options.projectName}.pdf`
+        );
+        await context.writePDF(file, MD);
+
+        return [file];
+    }
+};
@@ -0,0 +1,166 @@
+const fs = require('fs');
+const path = require('path');
+const Remarkable = require('remarkable');
+const {
+    diagramPlaceholder,
+    DIAGRAM_PLACEHOLDER
+} = require('../context');
+
+const escapeHtml = text => String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+//every url is relative so the site works from any path and from the file system
+const getPageUrl = (context, from, target) => context.encodeURIPath(path.relative(
+    context.getDistPath(from.dir, ''),
+    context.getDistPath(target.dir, 'index.html')
+));
+
+const pageTemplate = (title, stylesheet, sidebar, breadcrumbs, content) => `<!DOCTYPE html>
+<html lang="en">
+
+<head>
+  <meta charset="UTF-8">
+  <title>${escapeHtml(title)}</title>
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <link rel="stylesheet" href="${stylesheet}">
+</head>
+
+<body>
+  <nav class="sidebar">
+${sidebar}
+  </nav>
+  <main>
+${breadcrumbs}
+${content}
+  </main>
+</body>
+
+</html>`;
+
+/**
+ * a static html site with an index.html for every folder, readable without javascript
+ */
+module.exports = {
+    name: 'html',
+    description: 'static html site',
+    enabled: options => options.generateHTML,
+    //the sidebar links every folder
+    navigation: true,
+    //svg images are inlined in the pages
+    diagramFormat: 'svg',
+    //the svg images are inlined, their links are relative to the page of the diagram
+    diagramLink: (context, item, target) => getPageUrl(context, item, target),
+    generate: async (tree, context, dirs) => {
+        const options = context.options;
+        const { encodeURIPath } = context;
+        const markdown = new Remarkable({ html: true });
+
+        let filePromises = [];
+        let files = [];
+
+        //nested list of the children of a folder, the current one is marked active
+        const getSidebar = (item, parent, indent) => {
+            let children = tree.filter(x => x.parent === parent);
+            if (!children.length)
+                return '';
+            return `${indent}<ul>\n${children.map(x =>
+                `${indent}  <li${x.dir === item.dir ? ' class="active"' : ''}><a href="${getPageUrl(context, item, x)}">${escapeHtml(context.getLabel(x))}</a>\n` +
+                getSidebar(item, x.dir, `${indent}    `) +
+                `${indent}  </li>\n`
+            ).join('')}${indent}</ul>\n`;
+        };
+
+        //links relative to the folder of the page, the catalog page is in the root folder
+        const getNavigation = (item, root) => {
+            let catalogUrl = encodeURIPath(path.relative(context.getDistPath(item.dir, ''), path.join(options.distFolder, 'catalog.html')));
+            return `    <a class="project" href="${getPageUrl(context, item, root)}">${escapeHtml(options.projectName)}</a>\n` +
+                getSidebar(item, undefined, '    ') +
+                (options.includeCatalog ? `    <ul>\n      <li><a href="${catalogUrl}">Catalog</a></li>\n    </ul>` : '');
+        };
+
+        const getBreadcrumbs = item => {
+            if (!options.includeBreadcrumbs || item.dir === options.rootFolder)
+                return '';
+            let links = [];
+            for (let current = tree.find(x => x.dir === item.parent); current; current = tree.find(x => x.dir === current.parent))
+                links.unshift(`<a href="${getPageUrl(context, item, current)}">${escapeHtml(current.name)}</a>`);
+            return `    <nav class="breadcrumbs">${links.concat(escapeHtml(item.name)).join(' / ')}</nav>`;
+        };
+
+        //local svg images are inlined, the rest are referenced
+        const getDiagramHtml = (item, pumlFile) => {
+            let image = context.getDistPath(item.dir, context.getImageName(pumlFile));
+            let title = pumlFile.title ? `<figcaption>${escapeHtml(pumlFile.title)}</figcaption>` : '';
+            if (context.hasImageFiles && context.diagramFormat === 'svg' && fs.existsSync(image))
+                return `<figure class="diagram">${fs.readFileSync(image, 'utf8').replace(/^\s*<\?xml[^>]*\?>/, '')}${title}</figure>`;
+
+            let diagramUrl = context.hasImageFiles ? encodeURIPath(context.getImageName(pumlFile)) : context.getServerUrl(pumlFile);
+            return `<figure class="diagram"><img src="${diagramUrl}" alt="${escapeHtml(pumlFile.title || 'diagram')}">${title}</figure>`;
+        };
+
+        let root = tree.find(x => x.dir === options.rootFolder);
+        for (const item of tree) {
+            if (dirs && !dirs.includes(item.dir))
+                continue;
+
+            //title
+            let MD = `# ${item.name}`;
+            if (item.description)
+                MD += `\n\n_${item.description}_`;
+
+            //diagrams are rendered after the markdown, the placeholders survive as html comments
+            let content = context.renderContent(item, pumlFile => {
+                if (!options.includeLinkToDiagram)
+                    return `\n\n${diagramPlaceholder(pumlFile.dir)}\n\n`;
+
+                let diagramUrl = context.hasImageFiles ? encodeURIPath(context.getImageName(pumlFile)) : context.getServerUrl(pumlFile);
+                return context.getDiagramMarkdown(pumlFile, diagramUrl);
+            });
+            content += context.renderCatalog(tree, item);
+            //cross references point to the page of the folder
+            MD += context.renderLinks(tree, item, content, target => getPageUrl(context, item, target));
+
+            let html = markdown.render(MD).replace(DIAGRAM_PLACEHOLDER, (placeholder, name) => {
+                let pumlFile = item.pumlFiles.find(x => x.dir === name);
+                return pumlFile ? getDiagramHtml(item, pumlFile) : '';
+            });
+
+            let file = context.getDistPath(item.dir, 'index.html');
+            files.push(file);
+            filePromises.push(context.writeFile(file, pageTemplate(
+                item.dir === options.rootFolder ? options.projectName : `${item.name} - ${options.projectName}`,
+                encodeURIPath(path.relative(context.getDistPath(item.dir, ''), path.join(options.distFolder, 'style.css'))),
+                getNavigation(item, root),
+                getBreadcrumbs(item),
+                html
+            )));
+        }
+
+        //every element of the project, the catalog changes with every diagram
+        if (options.includeCatalog) {
+            let file = path.join(options.distFolder, 'catalog.html');
+            let MD = context.renderLinks(tree, root, context.renderProjectCatalog(tree), target => getPageUrl(context, root, target));
+            files.push(file);
+            filePromises.push(context.writeFile(file, pageTemplate(
+                `Catalog - ${options.projectName}`,
+                'style.css',
+                getNavigation(root, root),
+                '',
+                markdown.render(MD)
+            )));
+        }
+
+        //the stylesheet does not depend on the tree
+        if (!dirs) {
+            let file = path.join(options.distFolder, 'style.css');
+            files.push(file);
+            filePromises.push(context.writeFile(file, fs.readFileSync(options.htmlCss, 'utf8')));
+        }
+
+        await Promise.all(filePromises);
+        return files;
+    }
+};
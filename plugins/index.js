@@ -0,0 +1,71 @@
+const path = require('path');
+
+const markdown = require('./markdown');
+const web = require('./web');
+const html = require('./html');
+const completeMarkdown = require('./complete-markdown');
+const completePdf = require('./complete-pdf');
+const pdf = require('./pdf');
+const model = require('./model');
+
+/**
+ * an output plugin is an object with
+ *   name      used for timings
+ *   description used in the build log, generating <description>
+ *   enabled   (options) => boolean, optional, plugins from the config are enabled by default
+ *   complete  true when it writes files for the whole project, only regenerated on rebuild when the tree shape changes
+ *   navigation true when every folder links the whole tree, all folders are rewritten when the tree shape changes
+ *   diagramFormat optional image format preferred by the plugin, used when neither options.diagramFormats[name] nor options.diagramFormat is set
+ *   images    set to false when the plugin does not use the diagram images, no format is rendered for it
+ *   diagramLink optional (context, item, target) => url of the target folder from the diagrams of the item
+ *             when set, the elements of the local svg diagrams link to the folders zooming into them
+ *   generate  async (tree, context, dirs) => list of written files
+ *             dirs limits the per folder outputs to those folders, the whole tree is passed for navigation
+ */
+const builtinPlugins = [markdown, web, html, completeMarkdown, completePdf, pdf, model];
+
+/**
+ * loads a plugin by package name or path, resolved from the current project folder
+ * entries can be a name or { name, options }, the options are available as context.pluginOptions
+ */
+const loadPlugin = entry => {
+    let name = typeof entry === 'string' ? entry : entry.name;
+
+    let file;
+    try {
+        file = require.resolve(name, { paths: [process.cwd()] });
+    } catch (err) {
+        throw new Error(`output plugin ${name} could not be found, install it in the project folder`);
+    }
+
+    let plugin = require(file);
+    if (!plugin || typeof plugin.generate !== 'function')
+        throw new Error(`output plugin ${name} does not export a generate function`);
+
+    return Object.assign({ name: path.basename(name), description: path.basename(name) }, plugin, {
+        pluginOptions: typeof entry === 'string' ? {} : entry.options || {}
+    });
+};
+
+/**
+ * the built-in plugins followed by the ones listed in options.plugins, only the enabled ones
+ */
+const getPlugins = options => {
+    //both write index.html at the root of the destination folder, the static html site replaces the docsify site
+    return builtinPlugins
+        .concat((options.plugins || []).map(loadPlugin))
+        .filter(x => !x.enabled || x.enabled(options))
+        .filter((x, i, plugins) => x !== web || !plugins.includes(html));
+};
+
+/**
+ * the image format used by a plugin, the per target format, then options.diagramFormat, then the plugin preference or svg
+ */
+const getDiagramFormat = (plugin, options) => (options.diagramFormats || {})[plugin.name] || options.diagramFormat || plugin.diagramFormat || 'svg';
+
+module.exports = {
+    builtinPlugins,
+    loadPlugin,
+    getPlugins,
+    getDiagramFormat
+};
@@ -0,0 +1,97 @@
+const path = require('path');
+
+/**
+ * a markdown file for each folder, with optional navigation and table of contents
+ */
+module.exports = {
+    name: 'markdown',
+    description: 'markdown files',
+    enabled: options => options.generateMD,
+    //the table of contents and navigation link every folder
+    navigation: true,
+    generate: async (tree, context, dirs) => {
+        const options = context.options;
+        const { encodeURIPath } = context;
+
+        let processedCount = 0;
+        let totalCount = 0;
+        let files = [];
+
+        let filePromises = [];
+        for (const item of tree) {
+            //only write the requested folders, the whole tree is still needed for navigation
+            if (dirs && !dirs.includes(item.dir))
+                continue;
+
+            //title
+            let MD = `# ${item.name}`;
+            //bradcrumbs
+            if (options.includeBreadcrumbs && item.dir !== options.rootFolder)
+                MD += `\n\n\`${context.getBreadcrumbs(tree, item)}\``;
+            if (item.description)
+                MD += `\n\n_${item.description}_`;
+            //table of contents
+            if (options.includeTableOfContents) {
+                let tableOfContents = '';
+                for (const _item of tree) {
+                    let label = `${item.dir === _item.dir ? '**' : ''}${context.getLabel(_item)}${item.dir === _item.dir ? '**' : ''}`
+                    tableOfContents += `${'  '.repeat(_item.level - 1)}* [${label}](${encodeURIPath(path.join(
+                        '/',
+                        context.getDistPath(_item.dir, `${options.mdFileName}.md`)
+                    ))})\n`;
+                }
+                MD += `\n\n${tableOfContents}\n---`;
+            }
+            //parent menu
+            if (item.parent && options.includeNavigation) {
+                let parentName = tree.find(x => x.dir === item.parent).name;
+                MD += `\n\n[${parentName} (up)](${encodeURIPath(path.join(
+                    '/',
+                    context.getDistPath(item.parent, `${options.mdFileName}.md`)
+                ))})`;
+            }
+
+            //exclude files and folders prefixed with _
+            let descendantsMenu = '';
+            for (const file of item.descendants) {
+                let descendant = tree.find(x => x.dir === path.join(item.dir, file));
+                descendantsMenu += `\n\n- [${context.getLabel(descendant)}](${encodeURIPath(path.join(
+                    '/',
+                    context.getDistPath(item.dir, path.join(file, `${options.mdFileName}.md`))
+                ))})`;
+            }
+            //descendants menu
+            if (descendantsMenu && options.includeNavigation)
+                MD += `${descendantsMenu}`;
+            //separator
+            if (options.includeNavigation)
+                MD += `\n\n---`;
+
+            let content = context.renderContent(item, pumlFile => {
+                let diagramUrl = encodeURIPath(context.getImageName(pumlFile));
+                if (!context.hasImageFiles)
+                    diagramUrl = context.getServerUrl(pumlFile);
+
+                return context.getDiagramMarkdown(pumlFile, diagramUrl);
+            });
+            content += context.renderCatalog(tree, item);
+            //cross references point to the markdown file of the folder
+            MD += context.renderLinks(tree, item, content, target => encodeURIPath(path.join(
+                '/',
+                context.getDistPath(target.dir, `${options.mdFileName}.md`)
+            )));
+
+            //write to disk
+            totalCount++;
+            let file = context.getDistPath(item.dir, `${options.mdFileName}.md`);
+            files.push(file);
+            filePromises.push(context.writeFile(file, MD).then(() => {
+                processedCount++;
+                context.logger.progress(`processed ${processedCount}/${totalCount} files`);
+            }));
+        }
+
+        await Promise.all(filePromises);
+        return files;
+    }
+};
@@ -0,0 +1,19 @@
+const path = require('path');
+const { buildModel } = require('../model');
+
+/**
+ * the C4 elements and relationships declared by the diagrams of the whole tree, as json
+ */
+module.exports = {
+    name: 'model',
+    description: 'c4 model',
+    enabled: options => options.generateModel,
+    //only the diagram sources are read
+    images: false,
+    //the model is rebuilt from the whole tree every time, dirs is ignored
+    generate: async (tree, context) => {
+        let file = path.join(context.options.distFolder, 'model.json');
+        await context.writeFile(file, JSON.stringify(buildModel(tree), null, 2));
+        return [file];
+    }
+};
@@ -0,0 +1,59 @@
+const path = require('path');
+
+/**
+ * a pdf file for each folder
+ */
+module.exports = {
+    name: 'pdf',
+    description: 'pdf files',
+    enabled: options => options.generatePDF,
+    //phantomjs does not render every svg correctly
+    diagramFormat: 'png',
+    generate: async (tree, context, dirs) => {
+        const options = context.options;
+        const { encodeURIPath } = context;
+
+        let processedCount = 0;
+        let totalCount = 0;
+        let files = [];
+
+        let filePromises = [];
+        for (const item of tree) {
+            if (dirs && !dirs.includes(item.dir))
+                continue;
+
+            //title
+            let MD = `# ${item.name}`;
+            if (options.includeBreadcrumbs && item.dir !== options.rootFolder)
+                MD += `\n\n\`${context.getBreadcrumbs(tree, item)}\``;
+            if (item.description)
+                MD += `\n\n_${item.description}_`;
+
+            //the pdf renderer needs absolute paths for the copied assets
+            let content = context.renderContent(item, pumlFile => {
+                let diagramUrl = encodeURIPath(context.getDistPath(item.dir, context.getImageName(pumlFile)));
+                if (!context.hasImageFiles)
+                    diagramUrl = context.getServerUrl(pumlFile);
+
+                return `![diagram](${diagramUrl})`;
+            }, file => encodeURIPath(path.resolve(context.getDistPath(item.dir, file))));
+            content += context.renderCatalog(tree, item);
+            //cross references point to the pdf file of the folder
+            MD += context.renderLinks(tree, item, content, target => encodeURIPath(path.relative(
+                context.getDistPath(item.dir, ''),
+                context.getDistPath(target.dir, `${options.mdFileName}.pdf`)
+            )));
+
+            totalCount++;
+            let file = context.getDistPath(item.dir, `${options.mdFileName}.pdf`);
+            files.push(file);
+            filePromises.push(context.writePDF(file, MD).then(() => {
+                processedCount++;
+                context.logger.progress(`processed ${processedCount}/${totalCount} files`);
+            }));
+        }
+
+        await Promise.all(filePromises);
+        return files;
+    }
+};
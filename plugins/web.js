@@ -0,0 +1,163 @@
+const path = require('path');
+const docsifyTemplate = require('../docsify.template.js');
+const {
+    getVendoredTheme,
+    getDocsifyScripts,
+    copyVendor
+} = require('../vendor');
+
+/**
+ * merges the docsify options from the configuration into the generated ones, nested objects are merged as well
+ */
+const mergeOptions = (target, source) => {
+    for (const key of Object.keys(source || {})) {
+        let value = source[key];
+        let isObject = value && typeof value === 'object' && !Array.isArray(value);
+        target[key] = isObject && target[key] && typeof target[key] === 'object' ?
+            mergeOptions(Object.assign({}, target[key]), value) :
+            value;
+    }
+    return target;
+};
+
+/**
+ * docsify route of a folder, relative to the destination folder
+ */
+const getPageUrl = (item, options) => path.join(...path.join(item.dir).split(path.sep).splice(1), options.webFileName);
+
+/**
+ * cover page with the project name, the description of the root folder and links to the repository and the homepage
+ */
+const getCoverpage = (root, options) => {
+    let MD = `# **${options.projectName}**\n`;
+    if (root && root.description)
+        MD += `\n**${root.description}**\n`;
+    MD += '\n';
+    if (options.repoUrl)
+        MD += `[Repository](${options.repoUrl})\n`;
+    MD += `[${root ? root.name : options.homepageName}](#/)\n`;
+    return MD;
+};
+
+/**
+ * a docsify website with a sidebar for navigation
+ */
+module.exports = {
+    name: 'web',
+    description: 'docsify site',
+    enabled: options => options.generateWEB,
+    //the sidebar links every folder
+    navigation: true,
+    //the svg images are loaded from the folder of the diagram, their links go through the homepage
+    diagramLink: (context, item, target) => context.encodeURIPath(path.relative(
+        context.getDistPath(item.dir, ''),
+        path.join(context.options.distFolder, 'index.html')
+    )) + `#/${context.encodeURIPath(getPageUrl(target, context.options))}`,
+    generate: async (tree, context, dirs) => {
+        const options = context.options;
+        const { encodeURIPath } = context;
+
+        let filePromises = [];
+        let files = [];
+        let docsifySideBar = '';
+
+        for (const item of tree) {
+            //sidebar
+            docsifySideBar += `${'  '.repeat(item.level - 1)}* [${context.getLabel(item)}](${encodeURIPath(getPageUrl(item, options))})\n`;
+            if (dirs && !dirs.includes(item.dir))
+                continue;
+
+            //title
+            let MD = `# ${item.name}`;
+            if (item.description)
+                MD += `\n\n_${item.description}_`;
+
+            let content = context.renderContent(item, pumlFile => {
+                let diagramUrl = encodeURIPath(context.getImageName(pumlFile));
+                if (!context.hasImageFiles)
+                    diagramUrl = context.getServerUrl(pumlFile);
+
+                //linked svg images are embedded, the links of an img do not work
+                if (context.hasImageFiles && pumlFile.linkedContent && context.diagramFormat === 'svg' && !options.includeLinkToDiagram)
+                    return `<object data="${encodeURIPath(getPageUrl(item, options).replace(/[^/]+$/, ''))}${diagramUrl}" type="image/svg+xml"></object>`;
+                //local images are always shown
+                if (context.hasImageFiles)
+                    return `![diagram](${diagramUrl})`;
+                return context.getDiagramMarkdown(pumlFile, diagramUrl);
+            });
+            content += context.renderCatalog(tree, item);
+            //cross references point to the docsify page of the folder
+            MD += context.renderLinks(tree, item, content, target => encodeURIPath(getPageUrl(target, options)));
+
+            //write to disk
+            let file = context.getDistPath(item.dir, `${options.webFileName}.md`);
+            files.push(file);
+            filePromises.push(context.writeFile(file, MD));
+        }
+
+        //the catalog changes with every diagram, it is written on every rebuild
+        let root = tree.find(x => x.dir === options.rootFolder);
+        if (options.includeCatalog) {
+            docsifySideBar += `* [Catalog](${options.catalogFileName})\n`;
+            let file = path.join(options.distFolder, `${options.catalogFileName}.md`);
+            files.push(file);
+            filePromises.push(context.writeFile(file, context.renderLinks(tree, root, context.renderProjectCatalog(tree), target => encodeURIPath(getPageUrl(target, options)))));
+        }
+
+        //the cover page shows the description of the root folder
+        if (options.webCoverpage && (!dirs || (root && dirs.includes(root.dir)))) {
+            let file = path.join(options.distFolder, '_coverpage.md');
+            files.push(file);
+            filePromises.push(context.writeFile(file, getCoverpage(root, options)));
+        }
+
+        //the homepage and sidebar only change with the tree shape
+        if (dirs) {
+            await Promise.all(filePromises);
+            return files;
+        }
+
+        //offline, the homepage only loads the copies in the vendor folder
+        if (options.offline)
+            files.push(...await copyVendor(options.distFolder));
+
+        //docsify homepage
+        filePromises.push(context.writeFile(path.join(
+            options.distFolder,
+            `index.html`
+        ), docsifyTemplate(mergeOptions({
+            name: options.projectName,
+            repo: options.repoUrl,
+            loadSidebar: true,
+            auto2top: true,
+            homepage: `${options.webFileName}.md`,
+            coverpage: !!options.webCoverpage,
+            plantuml: {
+                skin: 'classic',
+                serverPath: `${options.plantumlServerUrl.replace(/\/+$/, '')}/svg/`
+            },
+            stylesheet: options.offline ? getVendoredTheme(options.webTheme) : options.webTheme
+        }, options.docsifyOptions), getDocsifyScripts(options.webPlugins, options.offline))));
+
+        //github pages preparation
+        filePromises.push(context.writeFile(path.join(
+            options.distFolder,
+            `.nojekyll`
+        ), ''));
+
+        //sidebar
+        filePromises.push(context.writeFile(path.join(
+            options.distFolder,
+            '_sidebar.md'
+        ), docsifySideBar));
+
+        files.push(
+            path.join(options.distFolder, 'index.html'),
+            path.join(options.distFolder, '.nojekyll'),
+            path.join(options.distFolder, '_sidebar.md')
+        );
+
+        await Promise.all(filePromises);
+        return files;
+    }
+};
@@ -1,5 +1,7 @@
 const fs = require('fs');
 const zlib = require('zlib');
+const http = require('http');
+const https = require('https');
 
 const makeDirectory = (path) => new Promise((resolve) => {
     fs.mkdir(path, () => {
@@ -25,6 +27,29 @@ const writeFile = (path, data) => new Promise((resolve, reject) => {
     });
 });
 
+/**
+ * runs the async tasks with at most size of them running at the same time
+ */
+const runInPool = async (tasks, size) => {
+    let results = [];
+    let next = 0;
+
+    const worker = async () => {
+        while (next < tasks.length) {
+            let index = next++;
+            results[index] = await tasks[index]();
+        }
+    };
+
+    //an invalid or zero size still runs the tasks one at a time
+    let workers = [];
+    for (let i = 0; i < Math.min(Math.max(parseInt(size) || 1, 1), tasks.length); i++)
+        workers.push(worker());
+    await Promise.all(workers);
+
+    return results;
+};
+
 const writeOnSameLine = async (message, fn) => {
     process.stdout.write(`${message}\r`);
 };
@@ -116,6 +141,40 @@ const urlTextFrom = (s) => {
     }
 };
 
+/**
+ * url of a diagram rendered by a plantuml server, for example https://www.plantuml.com/plantuml
+ */
+const plantUmlServerUrl = (serverUrl, format, content) => `${serverUrl.replace(/\/+$/, '')}/${format}/0/${urlTextFrom(content)}`;
+
+const DOWNLOAD_TIMEOUT = 60000;
+const MAX_REDIRECTS = 5;
+
+/**
+ * downloads a url into a buffer, resolves with the status code, headers and body
+ * redirects are followed up to MAX_REDIRECTS times, a server silent for DOWNLOAD_TIMEOUT ms fails the download
+ */
+const download = (url, redirects = 0) => new Promise((resolve, reject) => {
+    let request = (url.startsWith('https:') ? https : http).get(url, res => {
+        if ([301, 302, 303, 307, 308].includes(res.statusCode) && res.headers.location) {
+            res.resume();
+            if (redirects >= MAX_REDIRECTS)
+                return reject(new Error(`too many redirects from ${url}`));
+            return resolve(download(new URL(res.headers.location, url).href, redirects + 1));
+        }
+
+        let chunks = [];
+        res.on('data', chunk => chunks.push(chunk));
+        res.on('error', reject);
+        res.on('end', () => resolve({
+            statusCode: res.statusCode,
+            headers: res.headers,
+            body: Buffer.concat(chunks)
+        }));
+    });
+    request.setTimeout(DOWNLOAD_TIMEOUT, () => request.destroy(new Error(`${url} did not respond in ${DOWNLOAD_TIMEOUT / 1000} seconds`)));
+    request.on('error', reject);
+});
+
 const clearConsole = () => {
     process.stdout.write('\x1b[2J');
     process.stdout.write('\x1b[0f');
@@ -125,8 +184,11 @@ module.exports = {
     makeDirectory,
     readFile,
     writeFile,
+    runInPool,
     encodeURIPath,
     urlTextFrom,
+    plantUmlServerUrl,
+    download,
     writeOnSameLine,
     clearConsole
 }
\ No newline at end of file
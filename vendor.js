@@ -0,0 +1,108 @@
+const fs = require('fs');
+const path = require('path');
+const fsextra = require('fs-extra');
+const chalk = require('chalk');
+const {
+    writeFile,
+    download
+} = require('./utils.js');
+
+const VENDOR_FOLDER = path.join(__dirname, 'vendor');
+const DOCSIFY_THEMES = ['vue', 'buble', 'dark', 'pure', 'dolphin'];
+const C4_PLANTUML = ['C4.puml', 'C4_Context.puml', 'C4_Container.puml', 'C4_Component.puml'];
+
+const DOCSIFY = { file: 'docsify.min.js', url: 'https://unpkg.com/docsify@4/lib/docsify.min.js' };
+const DOCSIFY_PLANTUML = { file: 'docsify-plantuml.min.js', url: 'https://unpkg.com/docsify-plantuml@1/dist/docsify-plantuml.min.js' };
+//docsify plugins enabled by name with web.plugins
+const DOCSIFY_PLUGINS = {
+    'search': { file: 'plugins/search.min.js', url: 'https://unpkg.com/docsify@4/lib/plugins/search.min.js' },
+    'zoom-image': { file: 'plugins/zoom-image.min.js', url: 'https://unpkg.com/docsify@4/lib/plugins/zoom-image.min.js' },
+    'copy-code': { file: 'plugins/docsify-copy-code.min.js', url: 'https://unpkg.com/docsify-copy-code@2/dist/docsify-copy-code.min.js' },
+    'pagination': { file: 'plugins/docsify-pagination.min.js', url: 'https://unpkg.com/docsify-pagination@2/dist/docsify-pagination.min.js' }
+};
+
+//downloaded once by npm run vendor and shipped with the package, the build never fetches them
+const ASSETS = [
+    DOCSIFY,
+    DOCSIFY_PLANTUML,
+    ...Object.keys(DOCSIFY_PLUGINS).map(x => DOCSIFY_PLUGINS[x]),
+    ...DOCSIFY_THEMES.map(x => ({ file: `themes/${x}.css`, url: `https://unpkg.com/docsify@4/lib/themes/${x}.css` })),
+    ...C4_PLANTUML.map(x => ({ file: `C4-PlantUML/${x}`, url: `https://raw.githubusercontent.com/adrianvlupu/C4-PlantUML/latest/${x}` }))
+];
+
+/**
+ * the vendored copy of a remote C4-PlantUML include or undefined
+ */
+const getVendoredInclude = url => {
+    let match = url.match(/\/C4-PlantUML\/[^/]+\/(C4(?:_\w+)?\.puml)$/i);
+    if (!match)
+        return;
+    let file = path.join(VENDOR_FOLDER, 'C4-PlantUML', match[1]);
+    return fs.existsSync(file) ? file : undefined;
+};
+
+/**
+ * the vendored docsify theme matching the theme url, relative to the destination folder
+ * local stylesheets are kept, other remote stylesheets fall back to the default theme
+ */
+const getVendoredTheme = theme => {
+    if (theme && !/^([a-z][a-z0-9+.-]*:)?\/\//i.test(theme))
+        return theme;
+    let match = (theme || '').match(/docsify.*\/themes\/(\w+)\.css$/);
+    return `vendor/themes/${match && DOCSIFY_THEMES.includes(match[1]) ? match[1] : 'vue'}.css`;
+};
+
+/**
+ * the scripts loaded by the site: docsify, docsify-plantuml and the plugins
+ * plugins are names of DOCSIFY_PLUGINS or urls of other scripts, which are kept as they are
+ * offline, the bundled scripts are loaded from the vendor folder of the destination folder
+ */
+const getDocsifyScripts = (plugins, offline) => [DOCSIFY, DOCSIFY_PLANTUML]
+    .concat((plugins || []).map(x => DOCSIFY_PLUGINS[x] || { url: x }))
+    .map(x => x.file && offline ? `vendor/${x.file}` : x.url);
+
+/**
+ * copies the vendored assets into the vendor folder of the destination folder
+ * returns the copied files
+ */
+const copyVendor = async (distFolder) => {
+    let missing = ASSETS.filter(x => !fs.existsSync(path.join(VENDOR_FOLDER, x.file)));
+    if (missing.length)
+        throw new Error(`the offline assets are missing (${missing.map(x => x.file).join(', ')}), run npm run vendor in ${__dirname}`);
+
+    await fsextra.copy(VENDOR_FOLDER, path.join(distFolder, 'vendor'));
+    return ASSETS.map(x => path.join(distFolder, 'vendor', x.file));
+};
+
+/**
+ * downloads the assets into the vendor folder of the package
+ */
+const vendor = async () => {
+    for (const asset of ASSETS) {
+        //unpkg redirects the version ranges to the exact version, download follows the redirects
+        let response = await download(asset.url);
+        if (response.statusCode !== 200)
+            throw new Error(`could not download ${asset.url}: ${response.statusCode}`);
+
+        let file = path.join(VENDOR_FOLDER, asset.file);
+        await fsextra.ensureDir(path.dirname(file));
+        await writeFile(file, response.body);
+        console.log(`${chalk.green('✓')} ${asset.file}`);
+    }
+};
+
+if (require.main === module) {
+    vendor().catch(err => {
+        console.error(chalk.red(err.message));
+        process.exit(1);
+    });
+}
+
+module.exports = {
+    VENDOR_FOLDER,
+    DOCSIFY_PLUGINS,
+    getDocsifyScripts,
+    getVendoredInclude,
+    getVendoredTheme,
+    copyVendor
+};
@@ -0,0 +1,223 @@
+const joi = require('joi');
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const { getDrillDown } = require('./model');
+
+const MODEL_FILES = ['model.yaml', 'model.yml'];
+const C4_PLANTUML = 'https://raw.githubusercontent.com/adrianvlupu/C4-PlantUML/latest';
+
+const element = {
+    alias: joi.string().regex(/^\w+$/).required(),
+    label: joi.string().trim(),
+    description: joi.string().trim().allow('').default(''),
+    external: joi.boolean().default(false)
+};
+//databases and queues get the Db and Queue macros
+const kind = joi.string().valid(['db', 'queue']);
+const component = joi.object(Object.assign({}, element, {
+    technology: joi.string().trim().allow('').default(''),
+    type: kind
+}));
+const container = component.keys({
+    components: joi.array().items(component).default([])
+});
+const system = joi.object(Object.assign({}, element, {
+    type: kind,
+    containers: joi.array().items(container).default([])
+}));
+
+const schema = joi.object({
+    people: joi.array().items(joi.object(element)).default([]),
+    systems: joi.array().items(system).default([]),
+    relationships: joi.array().items(joi.object({
+        from: joi.string().required(),
+        to: joi.string().required(),
+        label: joi.string().trim().allow('').default(''),
+        technology: joi.string().trim().allow('')
+    })).default([])
+});
+
+/**
+ * reads and validates the optional model file of a folder
+ * returns the file and its people, systems and relationships or undefined when the folder has none
+ */
+const readModelFile = dir => {
+    let file = MODEL_FILES
+        .map(x => path.join(dir, x))
+        .find(x => fs.existsSync(x));
+    if (!file)
+        return;
+
+    let data;
+    try {
+        data = yaml.safeLoad(fs.readFileSync(file, 'utf8'));
+    } catch (err) {
+        throw new Error(`invalid model in ${file}\n  ${err.message.split('\n')[0]}`);
+    }
+
+    let result = joi.validate(data || {}, schema, { abortEarly: false });
+    if (result.error) {
+        let details = result.error.details.map(x => `  ${x.path.join('.') || 'model'}: ${x.message}`);
+        throw new Error(`invalid model in ${file}\n${details.join('\n')}`);
+    }
+
+    return Object.assign({ file: file }, result.value);
+};
+
+/**
+ * the elements of every model file of the tree by alias, with their type, parent and folder
+ * aliases are shared by all the model files and the relationships can use the ones of other files
+ */
+const readModel = tree => {
+    let models = [];
+    let elements = [];
+
+    const add = (x, type, dir, file, parent) => {
+        let existing = elements.find(y => y.alias === x.alias);
+        if (existing)
+            throw new Error(`invalid model in ${file}\n  ${x.alias} is already declared in ${existing.file}`);
+        let result = Object.assign({}, x, { type: type, kind: x.type, label: x.label || x.alias, dir: dir, file: file, parent: parent });
+        elements.push(result);
+        return result;
+    };
+
+    for (const item of tree) {
+        let model = readModelFile(item.dir);
+        if (!model)
+            continue;
+        models.push(Object.assign(model, { dir: item.dir }));
+
+        for (const person of model.people)
+            add(person, 'Person', item.dir, model.file);
+        for (const system of model.systems) {
+            add(system, 'System', item.dir, model.file);
+            for (const container of system.containers) {
+                add(container, 'Container', item.dir, model.file, system.alias);
+                for (const component of container.components)
+                    add(component, 'Component', item.dir, model.file, container.alias);
+            }
+        }
+    }
+
+    for (const model of models) {
+        for (const relationship of model.relationships) {
+            for (const alias of [relationship.from, relationship.to]) {
+                if (!elements.find(x => x.alias === alias))
+                    throw new Error(`invalid model in ${model.file}\n  relationship ${relationship.from} -> ${relationship.to} uses the undeclared element ${alias}`);
+            }
+        }
+    }
+
+    return { models, elements };
+};
+
+const quote = text => `"${String(text).replace(/"/g, '\'')}"`;
+
+/**
+ * the C4-PlantUML macro call declaring an element
+ */
+const declare = x => {
+    let macro = x.type + ({ db: 'Db', queue: 'Queue' }[x.kind] || '') + (x.external ? '_Ext' : '');
+    let args = [x.alias, quote(x.label)];
+    if (['Container', 'Component'].includes(x.type))
+        args.push(quote(x.technology));
+    args.push(quote(x.description));
+    return `${macro}(${args.join(', ')})`;
+};
+
+/**
+ * the source of a view, the elements inside are drawn in the boundary of the scope when there is one
+ * the relationships of the model are moved up to the closest element shown, the first one between two elements wins
+ */
+const renderView = (model, library, scope, inside, outside) => {
+    const shown = inside.concat(outside);
+    const lift = alias => {
+        let x = model.elements.find(y => y.alias === alias);
+        while (x && !shown.includes(x))
+            x = model.elements.find(y => y.alias === x.parent);
+        return x;
+    };
+
+    let relationships = [];
+    for (const relationship of [].concat(...model.models.map(x => x.relationships))) {
+        let from = lift(relationship.from);
+        let to = lift(relationship.to);
+        if (from && to && from !== to && (inside.includes(from) || inside.includes(to)) &&
+            !relationships.find(x => x.from === from && x.to === to))
+            relationships.push(Object.assign({}, relationship, { from: from, to: to }));
+    }
+    //the elements outside of the scope are only drawn when they are related to it
+    let related = outside.filter(x => relationships.find(y => y.from === x || y.to === x));
+
+    let lines = ['@startuml', `!include ${C4_PLANTUML}/${library}.puml`, '', 'LAYOUT_WITH_LEGEND()', ''];
+    lines.push(...related.filter(x => x.type === 'Person').map(declare));
+    if (scope) {
+        lines.push(`${scope.type}_Boundary(${scope.alias}, ${quote(scope.label)}) {`);
+        lines.push(...inside.map(x => `    ${declare(x)}`));
+        lines.push('}');
+    } else
+        lines.push(...inside.map(declare));
+    lines.push(...related.filter(x => x.type !== 'Person').map(declare));
+    lines.push('');
+    lines.push(...relationships.map(x => `Rel(${x.from.alias}, ${x.to.alias}, ${quote(x.label)}${x.technology ? `, ${quote(x.technology)}` : ''})`));
+    lines.push('@enduml');
+    return lines.join('\n');
+};
+
+/**
+ * the diagrams generated from the model files of the tree
+ * a system context view in the folder of every model file, a container view for every system with containers
+ * and a component view for every container with components, each in the folder zooming into it or in the folder of its parent view
+ * returns the folder, name, title, content and model file of every view
+ */
+const generateViews = tree => {
+    let model = readModel(tree);
+    let views = [];
+    const of = (type, parent) => model.elements.filter(x => x.type === type && x.parent === parent);
+    const people = of('Person');
+    const systems = of('System');
+
+    for (const file of model.models) {
+        let declared = model.elements.filter(x => x.file === file.file && ['Person', 'System'].includes(x.type));
+        views.push({
+            dir: file.dir,
+            name: 'model-context.puml',
+            title: 'System Context',
+            content: renderView(model, 'C4_Context', undefined, declared, people.concat(systems).filter(x => !declared.includes(x))),
+            file: file.file
+        });
+    }
+
+    for (const system of systems.filter(x => of('Container', x.alias).length)) {
+        let systemDir = (getDrillDown(tree, system.dir, system) || { dir: system.dir }).dir;
+        let containers = of('Container', system.alias);
+        views.push({
+            dir: systemDir,
+            name: `model-containers-${system.alias}.puml`,
+            title: `Containers of ${system.label}`,
+            content: renderView(model, 'C4_Container', system, containers, people.concat(systems).filter(x => x !== system)),
+            file: system.file
+        });
+
+        for (const container of containers.filter(x => of('Component', x.alias).length)) {
+            let containerDir = (getDrillDown(tree, systemDir, container) || { dir: systemDir }).dir;
+            views.push({
+                dir: containerDir,
+                name: `model-components-${container.alias}.puml`,
+                title: `Components of ${container.label}`,
+                content: renderView(model, 'C4_Component', container, of('Component', container.alias),
+                    people.concat(systems, containers).filter(x => x !== system && x !== container)),
+                file: container.file
+            });
+        }
+    }
+
+    return views;
+};
+
+module.exports = {
+    MODEL_FILES,
+    readModelFile,
+    generateViews
+};